@@ -5,6 +5,15 @@ import * as copilot from '../adapters/copilot.js';
 import * as agents from '../adapters/agents.js';
 import * as cursor from '../adapters/cursor.js';
 import * as windsurf from '../adapters/windsurf.js';
+import * as cline from '../adapters/cline.js';
+import * as roo from '../adapters/roo.js';
+import * as continueRules from '../adapters/continue.js';
+import * as gemini from '../adapters/gemini.js';
+import * as aider from '../adapters/aider.js';
+import * as eslint from '../adapters/eslint.js';
+import { adapters, outputLayout } from '../adapters/index.js';
+import { parseTemplate } from '../loader.js';
+import { expandGlob } from '../globs.js';
 
 const MOCK_TEMPLATE = `# Test Security Rules
 
@@ -143,6 +152,24 @@ describe('claude adapter - directory mode', () => {
     assert.ok(ref.includes('A05'));
   });
 
+  it('scopes rule files with paths frontmatter', () => {
+    const globs = { injection: ['app/api/**', 'src/db.ts'] };
+    const templates = new Map([['injection', MOCK_TEMPLATE], ['secure-design', MOCK_TEMPLATE]]);
+    const files = claude.formatMultiple(templates, { globs });
+    assert.ok(files.get('security-injection.md').startsWith(
+      '---\npaths:\n  - "app/api/**"\n  - "src/db.ts"\n---\n\n# Test Security Rules'
+    ));
+    assert.ok(files.get('security-secure-design.md').startsWith('# Test Security Rules'));
+  });
+
+  it('relies on .claude/rules auto-loading instead of listing files to read', () => {
+    const ref = claude.formatReference(['injection', 'secure-design'], { globs: { injection: ['app/api/**'] } });
+    assert.ok(ref.includes('Claude Code loads these rules from `.claude/rules/` automatically'));
+    assert.ok(ref.includes('- `security-injection.md` - A05: Injection (`app/api/**`)'));
+    assert.ok(ref.includes('- `security-secure-design.md` - A06: Insecure Design\n'));
+    assert.ok(!ref.includes('@'));
+  });
+
   it('reference can be merged into existing CLAUDE.md', () => {
     const existing = '# My Project\n\nSome content.';
     const ref = claude.formatReference(['access-control']);
@@ -156,7 +183,18 @@ describe('copilot adapter - directory mode', () => {
   it('generates individual rule files via formatMultiple', () => {
     const files = copilot.formatMultiple(mockTemplates());
     assert.equal(files.size, 1);
-    assert.ok(files.has('security-access-control.md'));
+    assert.ok(files.has('security-access-control.instructions.md'));
+  });
+
+  it('scopes each instructions file with applyTo globs', () => {
+    const file = copilot.formatMultiple(mockTemplates()).get('security-access-control.instructions.md');
+    assert.ok(file.startsWith('---\napplyTo: "**/middleware*.js,**/middleware*.ts,'));
+    assert.ok(file.includes(',**/role*.tsx"\n---\n\n# A01: Broken Access Control'));
+  });
+
+  it('applies categories without globs to every file', () => {
+    const files = copilot.formatMultiple(new Map([['secure-design', MOCK_TEMPLATE]]));
+    assert.ok(files.get('security-secure-design.instructions.md').startsWith('---\napplyTo: "**"\n---\n'));
   });
 
   it('has rulesDir defined', () => {
@@ -166,7 +204,14 @@ describe('copilot adapter - directory mode', () => {
   it('generates reference text via formatReference', () => {
     const ref = copilot.formatReference(['access-control']);
     assert.ok(ref.includes('.github/instructions/'));
-    assert.ok(ref.includes('security-access-control.md'));
+    assert.ok(ref.includes('security-access-control.instructions.md'));
+  });
+});
+
+describe('expandGlob', () => {
+  it('expands brace alternatives into separate globs', () => {
+    assert.deepEqual(expandGlob('**/{api,db}*.{js,ts}'), ['**/api*.js', '**/api*.ts', '**/db*.js', '**/db*.ts']);
+    assert.deepEqual(expandGlob('**/package.json'), ['**/package.json']);
   });
 });
 
@@ -183,6 +228,19 @@ describe('cursor adapter', () => {
     assert.ok(content.startsWith('---'));
     assert.ok(content.includes('description:'));
   });
+
+  it('auto-attaches categories to scanned project globs', () => {
+    const globs = { 'access-control': ['src/server/iam/**', 'app/api/middleware.ts'] };
+    const content = cursor.formatMultiple(mockTemplates(), { globs }).get('security-access-control.mdc');
+    assert.ok(content.includes('globs: "src/server/iam/**,app/api/middleware.ts"\nalwaysApply: false\n---'));
+  });
+
+  it('picks the rule type per category', () => {
+    const design = cursor.formatMultiple(new Map([['secure-design', MOCK_TEMPLATE]])).get('security-secure-design.mdc');
+    assert.ok(design.includes('alwaysApply: true') && !design.includes('globs:'));
+    const vue = cursor.formatMultiple(new Map([['vue-security', MOCK_TEMPLATE]])).get('security-vue-security.mdc');
+    assert.ok(vue.includes('alwaysApply: false') && !vue.includes('globs:'));
+  });
 });
 
 describe('windsurf adapter', () => {
@@ -195,7 +253,376 @@ describe('windsurf adapter', () => {
   it('strips original title and adds own', () => {
     const files = windsurf.formatMultiple(mockTemplates());
     const content = files.get('security-access-control.md');
-    assert.ok(content.startsWith('# A01: Broken Access Control'));
+    assert.ok(content.includes('---\n\n# A01: Broken Access Control'));
     assert.ok(!content.includes('# Test Security Rules'));
   });
+
+  it('sets a trigger, globs and description per category', () => {
+    const globs = { 'access-control': ['src/guards/**', 'src/rbac.ts'] };
+    const scoped = windsurf.formatMultiple(mockTemplates(), { globs }).get('security-access-control.md');
+    assert.ok(scoped.startsWith(
+      '---\ntrigger: glob\nglobs: src/guards/**,src/rbac.ts\n' +
+        'description: A01 Broken Access Control - OWASP 2025 Security Rules\n---\n'
+    ));
+
+    const design = windsurf.formatMultiple(new Map([['secure-design', MOCK_TEMPLATE]])).get('security-secure-design.md');
+    assert.ok(design.startsWith('---\ntrigger: always_on\ndescription: '));
+    const vue = windsurf.formatMultiple(new Map([['vue-security', MOCK_TEMPLATE]])).get('security-vue-security.md');
+    assert.ok(vue.startsWith('---\ntrigger: model_decision\ndescription: '));
+  });
+
+  // 30 rules of ~400 characters: well over the per-file limit even when condensed
+  const largeTemplate = () => {
+    const rules = Array.from({ length: 30 }, (_, i) => [
+      `### ${i + 1}. Rule ${i + 1}`,
+      `- **DO**: ${'Check the input. '.repeat(10)}`,
+      `- **DON'T**: ${'Trust the input. '.repeat(10)}`,
+      `- **WHY**: ${'Attackers control it. '.repeat(5)}`,
+    ].join('\n'));
+    return `# Big\n\n## Rules\n\n${rules.join('\n\n')}\n\n## Code Examples\n\n### Bad\n\`\`\`js\n${'x();\n'.repeat(400)}\`\`\`\n\n## Quick Checklist\n- [ ] Done\n`;
+  };
+
+  it('condenses and splits rule files over the per-file limit', () => {
+    const files = windsurf.formatMultiple(new Map([['access-control', largeTemplate()]]));
+    const names = [...files.keys()];
+    assert.ok(names.length > 1);
+    assert.equal(names[0], 'security-access-control.md');
+    assert.equal(names[1], 'security-access-control.part2.md');
+
+    const all = [...files.values()];
+    assert.ok(all.every((content) => content.length <= windsurf.FILE_LIMIT));
+    assert.ok(all.every((content) => !content.includes('x();') && !content.includes('**WHY**')));
+    assert.ok(all[0].includes(`# A01: Broken Access Control (1/${all.length})`));
+    assert.ok(all.at(-1).includes('- [ ] Done') && !all[0].includes('- [ ] Done'));
+    assert.ok(all.join('').includes('A01-R30'));
+  });
+
+  it('condenses every file when the total is over the limit', () => {
+    const small = windsurf.formatMultiple(mockTemplates()).get('security-access-control.md');
+    assert.ok(small.includes('eval(userInput)'));
+
+    const templates = new Map([['access-control', MOCK_TEMPLATE], ['injection', largeTemplate()]]);
+    const files = windsurf.formatMultiple(templates);
+    assert.ok(!files.get('security-access-control.md').includes('eval(userInput)'));
+  });
+
+  it('reports which categories were condensed and what they lost', () => {
+    assert.deepEqual(windsurf.checkCondensed(mockTemplates()), []);
+    assert.deepEqual(windsurf.checkCondensed(new Map([['access-control', largeTemplate()]])), [
+      { category: 'access-control', examples: true, why: true },
+    ]);
+    const templates = new Map([['access-control', MOCK_TEMPLATE], ['injection', largeTemplate()]]);
+    assert.deepEqual(windsurf.checkCondensed(templates), [
+      { category: 'access-control', examples: true, why: true },
+      { category: 'injection', examples: true, why: true },
+    ]);
+  });
+
+  it('reports files and totals Windsurf would truncate', () => {
+    const outputs = [
+      { path: '.windsurf/rules/a.md', content: 'a'.repeat(7000) },
+      { path: '.windsurf/rules/b.md', content: 'b'.repeat(5500) },
+    ];
+    assert.deepEqual(windsurf.checkLimits(outputs), [
+      { path: '.windsurf/rules/a.md', chars: 7000, limit: 6000 },
+      { path: null, chars: 12500, limit: 12000 },
+    ]);
+    assert.deepEqual(windsurf.checkLimits(outputs.slice(1)), []);
+  });
+});
+
+describe('cline adapter', () => {
+  it('scopes categories with globs through paths frontmatter', () => {
+    const content = cline.formatMultiple(mockTemplates()).get('security-access-control.md');
+    assert.ok(content.startsWith('---\npaths:\n  - "**/{middleware,guard,policy,permission,role}*.'));
+    assert.ok(content.includes('# Test Security Rules'));
+  });
+
+  it('omits frontmatter for always-active categories', () => {
+    const templates = new Map([['secure-design', MOCK_TEMPLATE]]);
+    const content = cline.formatMultiple(templates).get('security-secure-design.md');
+    assert.ok(content.startsWith('# Test Security Rules'));
+  });
+
+  it('lists every scanned glob under paths', () => {
+    const globs = { 'access-control': ['src/guards/**', 'src/rbac.ts'] };
+    const content = cline.formatMultiple(mockTemplates(), { globs }).get('security-access-control.md');
+    assert.ok(content.startsWith('---\npaths:\n  - "src/guards/**"\n  - "src/rbac.ts"\n---'));
+  });
+});
+
+describe('roo adapter', () => {
+  it('generates plain markdown without frontmatter', () => {
+    const files = roo.formatMultiple(mockTemplates());
+    assert.equal(roo.outputDir, '.roo/rules');
+    assert.ok(files.get('security-access-control.md').startsWith('# A01: Broken Access Control'));
+  });
+});
+
+describe('continue adapter', () => {
+  it('writes name, description, globs and alwaysApply frontmatter', () => {
+    const content = continueRules.formatMultiple(mockTemplates()).get('security-access-control.md');
+    assert.ok(content.startsWith('---\nname: "A01 Broken Access Control"\n'));
+    assert.ok(content.includes('description: "A01 Broken Access Control - OWASP 2025 Security Rules"'));
+    assert.ok(content.includes('globs: "**/{middleware,guard'));
+    assert.ok(content.includes('alwaysApply: false'));
+  });
+
+  it('always applies categories without globs', () => {
+    const templates = new Map([['secure-design', MOCK_TEMPLATE]]);
+    const content = continueRules.formatMultiple(templates).get('security-secure-design.md');
+    assert.ok(content.includes('alwaysApply: true'));
+    assert.ok(!content.includes('globs:'));
+  });
+});
+
+describe('gemini adapter', () => {
+  it('wraps inline rules in markers for merging into GEMINI.md', () => {
+    const merged = gemini.merge('# My Project\n', gemini.format(mockTemplates()));
+    assert.ok(merged.startsWith('# My Project\n\n<!-- js-secure-coding:start -->'));
+    assert.ok(merged.includes('## A01: Broken Access Control'));
+  });
+
+  it('imports each rule file in directory mode', () => {
+    const ref = gemini.formatReference(['access-control', 'injection']);
+    assert.ok(ref.includes('@./.gemini/rules/security-access-control.md'));
+    assert.ok(ref.includes('@./.gemini/rules/security-injection.md'));
+  });
+});
+
+describe('aider adapter', () => {
+  const files = ['CONVENTIONS.md', 'conventions/security-injection.md'];
+
+  it('generates CONVENTIONS.md with markers', () => {
+    const output = aider.format(mockTemplates());
+    assert.equal(aider.outputPath, 'CONVENTIONS.md');
+    assert.ok(output.startsWith('<!-- js-secure-coding:start -->'));
+    assert.ok(output.includes('A01-R1'));
+  });
+
+  it('adds a read list to a config without one', () => {
+    assert.equal(
+      aider.registerFiles('model: sonnet\n', files),
+      'model: sonnet\nread:\n  - CONVENTIONS.md\n  - conventions/security-injection.md\n'
+    );
+  });
+
+  it('extends scalar, flow and block read lists and keeps other keys', () => {
+    assert.equal(aider.registerFiles('read: NOTES.md\n', ['CONVENTIONS.md']), 'read:\n  - NOTES.md\n  - CONVENTIONS.md\n');
+    assert.equal(
+      aider.registerFiles('read: [NOTES.md, "api.md"] # docs\nmodel: sonnet\n', ['CONVENTIONS.md']),
+      'read:\n  - NOTES.md\n  - api.md\n  - CONVENTIONS.md\nmodel: sonnet\n'
+    );
+    const block = 'read:\n  - NOTES.md\n  - CONVENTIONS.md\nauto-commits: false\n';
+    assert.equal(aider.registerFiles(block, ['CONVENTIONS.md']), block);
+  });
+
+  it('removes only its own entries and drops an empty read key', () => {
+    const config = aider.registerFiles('model: sonnet\nread: NOTES.md\n', files);
+    assert.equal(aider.unregisterFiles(config, files), 'model: sonnet\nread:\n  - NOTES.md\n');
+    assert.equal(aider.unregisterFiles(aider.registerFiles('model: sonnet\n', files), files), 'model: sonnet\n');
+    assert.equal(aider.unregisterFiles(aider.registerFiles('', files), files), '');
+  });
+});
+
+describe('eslint adapter', () => {
+  const INJECTION = `# Injection
+
+## Rules
+
+### 1. Use Parameterized Queries
+- **DO**: Bind values.
+
+### 2. Sanitize Output
+- **DO**: Escape.
+
+### 3. Validate Input
+- **DO**: Validate.
+
+### 4. Prevent Command Injection
+- **DO**: Use execFile.
+
+## Quick Checklist
+- [ ] Done
+`;
+
+  it('maps the rules of the selected categories to core lint rules', () => {
+    const output = eslint.format(new Map([['injection', INJECTION]]), { version: '2.0.3' });
+    assert.ok(output.startsWith('  // js-secure-coding:start\n  // version: 2.0.3\n'));
+    assert.ok(output.endsWith('  // js-secure-coding:end'));
+    assert.ok(output.includes("'no-eval': 'error', // A05-R4"));
+    assert.ok(output.includes("{ name: 'node:child_process', importNames: ['exec', 'execSync'], message: 'A05-R4: "));
+    assert.ok(output.includes('A05-R1: Pass values as query parameters'));
+    // Rule 7 (RegExp) is not in this template, so its selector is left out like a suppressed rule
+    assert.ok(!output.includes('A05-R7'));
+    assert.ok(!output.includes('no-script-url'));
+  });
+
+  it('generates a config object that evaluates to valid rule settings', () => {
+    const output = eslint.format(new Map([['injection', INJECTION], ['xss-prevention', MOCK_TEMPLATE]]));
+    const [config] = new Function(`return [\n${output}\n];`)();
+    assert.equal(config.name, 'secure-coding-rules');
+    assert.equal(config.rules['no-eval'], 'error');
+    const [level, ...selectors] = config.rules['no-restricted-syntax'];
+    assert.equal(level, 'error');
+    assert.ok(selectors.some(({ selector }) => selector.includes('^\\$(queryRawUnsafe|executeRawUnsafe)$')));
+  });
+
+  it('merges into the exported array and replaces its own section', () => {
+    const section = eslint.format(new Map([['injection', INJECTION]]));
+    assert.equal(eslint.merge('', section), `export default [\n${section}\n];\n`);
+
+    const inline = eslint.merge('export default [js.configs.recommended];\n', section);
+    assert.equal(inline, `export default [\n${section}\njs.configs.recommended];\n`);
+
+    const updated = eslint.merge(inline, eslint.format(new Map(), { version: '9.9.9' }));
+    assert.ok(updated.includes('// version: 9.9.9'));
+    assert.ok(!updated.includes('// version: 2.0.0'));
+    assert.ok(updated.endsWith('  // js-secure-coding:end\njs.configs.recommended];\n'));
+  });
+
+  it('refuses configs that do not export an array or lost one of the markers', () => {
+    const conflict = (err) => err.code === 'ERR_OUTPUT_CONFLICT' && err.path === 'eslint.config.js';
+    assert.throws(() => eslint.merge('module.exports = config;\n', eslint.format(new Map())), conflict);
+
+    const merged = eslint.merge('export default [js.configs.recommended];\n', eslint.format(new Map()));
+    const withoutEnd = merged.replace('  // js-secure-coding:end\n', '');
+    assert.throws(() => eslint.merge(withoutEnd, eslint.format(new Map())), conflict);
+    const withoutStart = merged.replace('  // js-secure-coding:start\n', '');
+    assert.throws(() => eslint.merge(withoutStart, eslint.format(new Map())), conflict);
+  });
+
+  it('restricts RegExp sources other than literals and escape calls', () => {
+    const rules = INJECTION.replace('## Quick Checklist', '### 5. A\n- **DO**: A.\n\n### 6. B\n- **DO**: B.\n\n### 7. Escape RegExp Input\n- **DO**: Escape.\n\n## Quick Checklist');
+    const [config] = new Function(`return [\n${eslint.format(new Map([['injection', rules]]))}\n];`)();
+    const regexp = config.rules['no-restricted-syntax'].slice(1).filter(({ message }) => message.startsWith('A05-R7'));
+    assert.deepEqual(regexp.map(({ selector }) => selector), [
+      ":matches(NewExpression, CallExpression)[callee.name='RegExp'][arguments.length>0]:not([arguments.0.type='Literal'], [arguments.0.type='TemplateLiteral'][arguments.0.expressions.length=0], [arguments.0.callee.name=/escape/i], [arguments.0.callee.property.name=/escape/i])",
+    ]);
+  });
+});
+
+describe('adapter registry', () => {
+  it('gives every tool a label, detection paths and somewhere to write', () => {
+    for (const [tool, adapter] of Object.entries(adapters)) {
+      assert.ok(adapter.label, `${tool} has no label`);
+      assert.ok(adapter.detectPaths.length > 0, `${tool} has no detectPaths`);
+      assert.ok(adapter.outputDir || adapter.outputPath, `${tool} has no output`);
+    }
+  });
+
+  it('derives the layout from what the adapter exports', () => {
+    assert.equal(outputLayout(cursor, 'directory'), 'multiple');
+    assert.equal(outputLayout(gemini, 'inline'), 'single');
+    assert.equal(outputLayout(gemini, 'directory'), 'directory');
+    assert.equal(outputLayout(aider, 'directory'), 'directory');
+    assert.equal(outputLayout(agents, 'directory'), 'single');
+  });
+});
+
+describe('all adapters render from the same rule model', () => {
+  const outputs = () => [
+    ['claude', claude.format(mockTemplates())],
+    ['copilot', copilot.format(mockTemplates())],
+    ['agents', agents.format(mockTemplates())],
+    ['cursor', cursor.formatMultiple(mockTemplates()).get('security-access-control.mdc')],
+    ['windsurf', windsurf.formatMultiple(mockTemplates()).get('security-access-control.md')],
+    ['cline', cline.formatMultiple(mockTemplates()).get('security-access-control.md')],
+    ['roo', roo.formatMultiple(mockTemplates()).get('security-access-control.md')],
+    ['continue', continueRules.formatMultiple(mockTemplates()).get('security-access-control.md')],
+    ['gemini', gemini.formatMultiple(mockTemplates()).get('security-access-control.md')],
+    ['aider', aider.formatMultiple(mockTemplates()).get('security-access-control.md')],
+  ];
+
+  it('every tool carries every rule with its DO, DON\'T and WHY', () => {
+    for (const [tool, output] of outputs()) {
+      for (const text of ['Test Rule One', 'Test Rule Two', 'Validate input.', 'Trust user data.', 'Injection attacks are common.']) {
+        assert.ok(output.includes(text), `${tool} is missing "${text}"`);
+      }
+    }
+  });
+
+  it('accepts parsed templates as well as raw markdown', () => {
+    const parsed = new Map([['access-control', parseTemplate(MOCK_TEMPLATE, 'access-control')]]);
+    assert.equal(claude.format(parsed), claude.format(mockTemplates()));
+    assert.equal(agents.format(parsed), agents.format(mockTemplates()));
+  });
+});
+
+describe('detail levels', () => {
+  const sections = (output) => ({
+    why: output.includes('Because security matters.'),
+    checklist: output.includes('Input validated'),
+    examples: output.includes('eval(userInput)'),
+  });
+
+  it('renders the same content at each level across adapters', () => {
+    const expected = {
+      minimal: { why: true, checklist: false, examples: false },
+      standard: { why: true, checklist: true, examples: false },
+      full: { why: true, checklist: true, examples: true },
+    };
+    for (const [detail, want] of Object.entries(expected)) {
+      const outputs = [
+        claude.format(mockTemplates(), { detail }),
+        copilot.format(mockTemplates(), { detail }),
+        agents.format(mockTemplates(), { detail }),
+        cursor.formatMultiple(mockTemplates(), { detail }).get('security-access-control.mdc'),
+        windsurf.formatMultiple(mockTemplates(), { detail }).get('security-access-control.md'),
+        gemini.formatMultiple(mockTemplates(), { detail }).get('security-access-control.md'),
+      ];
+      for (const output of outputs) {
+        assert.deepEqual(sections(output), want, `${detail}: ${output.slice(0, 80)}`);
+        assert.ok(output.includes('Validate input.'));
+      }
+    }
+  });
+
+  it('renders minimal rules as flat bullets', () => {
+    const output = claude.format(mockTemplates(), { detail: 'minimal' });
+    assert.ok(output.includes('- **A01-R1: Test Rule One**\n  - **DO**: Do the right thing.'));
+    assert.ok(!output.includes('## Rules'));
+  });
+
+  it('keeps each adapter\'s own level by default', () => {
+    assert.deepEqual(sections(claude.format(mockTemplates())), { why: true, checklist: true, examples: false });
+    assert.deepEqual(sections(copilot.format(mockTemplates())), { why: true, checklist: false, examples: false });
+    const cursorFile = cursor.formatMultiple(mockTemplates()).get('security-access-control.mdc');
+    assert.deepEqual(sections(cursorFile), { why: true, checklist: true, examples: true });
+  });
+});
+
+describe('rule ids and exceptions', () => {
+  function suppressedTemplates() {
+    const template = parseTemplate(MOCK_TEMPLATE, 'access-control');
+    template.exceptions.push({ id: 'A01-R2', title: 'Test Rule Two', reason: 'Handled by the gateway' });
+    template.rules = template.rules.filter((r) => r.id !== 'A01-R2');
+    return new Map([['access-control', template]]);
+  }
+
+  it('every tool shows rule ids', () => {
+    assert.ok(claude.format(mockTemplates()).includes('### A01-R1: Test Rule One'));
+    assert.ok(copilot.format(mockTemplates()).includes('**A01-R2: Test Rule Two**'));
+    assert.ok(agents.format(mockTemplates()).includes('A01-R1'));
+    assert.ok(cursor.formatMultiple(mockTemplates()).get('security-access-control.mdc').includes('A01-R2'));
+    assert.ok(windsurf.formatMultiple(mockTemplates()).get('security-access-control.md').includes('A01-R2'));
+  });
+
+  it('every tool states suppressed rules and their justification', () => {
+    const outputs = [
+      claude.format(suppressedTemplates()),
+      copilot.format(suppressedTemplates()),
+      agents.format(suppressedTemplates()),
+      cursor.formatMultiple(suppressedTemplates()).get('security-access-control.mdc'),
+      windsurf.formatMultiple(suppressedTemplates()).get('security-access-control.md'),
+      cline.formatMultiple(suppressedTemplates()).get('security-access-control.md'),
+      roo.formatMultiple(suppressedTemplates()).get('security-access-control.md'),
+      continueRules.formatMultiple(suppressedTemplates()).get('security-access-control.md'),
+    ];
+    for (const output of outputs) {
+      assert.ok(output.includes('A01-R2'));
+      assert.ok(output.includes('Handled by the gateway'));
+      assert.ok(!output.includes('Trust user data.'));
+    }
+  });
 });
@@ -0,0 +1,289 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { generate, apply, ConfigError, OutputConflictError, SecureCodingRulesError } from '../index.js';
+
+describe('Node API', () => {
+  const dirs = [];
+  const project = async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-api-'));
+    dirs.push(dir);
+    await writeFile(join(dir, 'package.json'), '{"name":"app"}', 'utf-8');
+    return dir;
+  };
+  const actions = (plan) => Object.fromEntries(plan.entries.map((e) => [e.path, e.action]));
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  it('plans every file without writing', async () => {
+    const cwd = await project();
+    const plan = await generate({ cwd, tools: ['cursor', 'claude'], categories: ['injection'] });
+
+    assert.deepEqual(actions(plan), {
+      '.cursor/rules/security-injection.mdc': 'create',
+      'CLAUDE.md': 'create',
+      '.secure-coding-rules.lock.json': 'create',
+    });
+    const cursor = plan.entries[0];
+    assert.equal(cursor.tool, 'cursor');
+    assert.equal(cursor.role, 'rule');
+    assert.ok(cursor.content.includes('A05-R1'));
+    assert.deepEqual(await readdir(cwd), ['package.json']);
+  });
+
+  it('applies a plan and reports unchanged files on the next run', async () => {
+    const cwd = await project();
+    const options = { cwd, tools: ['cursor'], categories: ['injection', 'csp'] };
+    const applied = await apply(await generate(options));
+    assert.equal(applied.length, 3);
+    assert.ok((await readdir(join(cwd, '.cursor', 'rules'))).includes('security-csp.mdc'));
+
+    const again = await generate(options);
+    assert.ok(again.entries.every((entry) => entry.action === 'unchanged'));
+  });
+
+  it('records the selection each tool was generated from in the manifest', async () => {
+    const cwd = await project();
+    await apply(await generate({ cwd, tools: ['claude'], categories: ['injection', 'csp'] }));
+    const plan = await generate({ cwd, tools: ['cursor'], categories: ['injection'], rulesLang: 'ja' });
+
+    const manifest = JSON.parse(plan.entries.find((entry) => entry.role === 'manifest').content);
+    assert.deepEqual(manifest.tools, {
+      claude: { categories: ['injection', 'csp'], framework: 'vanilla', outputMode: 'inline', rulesLang: 'en' },
+      cursor: { categories: ['injection'], framework: 'vanilla', outputMode: 'inline', rulesLang: 'ja' },
+    });
+  });
+
+  it('merges into existing main files and keeps their content', async () => {
+    const cwd = await project();
+    await writeFile(join(cwd, 'CLAUDE.md'), '# My Project\n', 'utf-8');
+    const plan = await generate({ cwd, tools: ['claude'], categories: ['injection'] });
+    const main = plan.entries.find((entry) => entry.path === 'CLAUDE.md');
+
+    assert.equal(main.action, 'update');
+    assert.equal(main.role, 'main');
+    assert.ok(main.content.startsWith('# My Project\n\n<!-- js-secure-coding:start -->'));
+  });
+
+  it('writes lint rules into a new or existing eslint.config.js', async () => {
+    const cwd = await project();
+    const created = await generate({ cwd, tools: ['eslint'], categories: ['injection'] });
+    const main = created.entries.find((entry) => entry.path === 'eslint.config.js');
+    assert.equal(main.action, 'create');
+    assert.ok(main.content.startsWith('export default [\n  // js-secure-coding:start\n'));
+    assert.ok(main.content.endsWith('  // js-secure-coding:end\n];\n'));
+
+    await writeFile(join(cwd, 'eslint.config.js'), 'export default defineConfig([\n  js.configs.recommended,\n]);\n', 'utf-8');
+    const merged = (await generate({ cwd, tools: ['eslint'], categories: ['injection'] })).entries[0];
+    assert.equal(merged.action, 'update');
+    assert.ok(merged.content.startsWith('export default defineConfig([\n  // js-secure-coding:start\n'));
+    assert.ok(merged.content.includes("'no-eval': 'error', // A05-R4"));
+    assert.ok(merged.content.endsWith('  // js-secure-coding:end\n  js.configs.recommended,\n]);\n'));
+  });
+
+  it('does not create eslint.config.js next to another ESLint config', async () => {
+    const cwd = await project();
+    await writeFile(join(cwd, 'eslint.config.mjs'), 'export default [];\n', 'utf-8');
+    await assert.rejects(
+      () => generate({ cwd, tools: ['eslint'], categories: ['injection'] }),
+      (err) => err instanceof OutputConflictError && err.path === 'eslint.config.mjs'
+    );
+  });
+
+  it('skips hand-edited files unless forced and plans stale removals', async () => {
+    const cwd = await project();
+    await apply(await generate({ cwd, tools: ['cursor'], categories: ['injection', 'csp'] }));
+    await writeFile(join(cwd, '.cursor/rules/security-injection.mdc'), 'my own rules\n', 'utf-8');
+
+    const plan = await generate({ cwd, tools: ['cursor'], categories: ['injection'] });
+    const injection = plan.entries.find((e) => e.path === '.cursor/rules/security-injection.mdc');
+    assert.deepEqual(
+      { action: injection.action, reason: injection.reason, content: injection.content },
+      { action: 'skip', reason: 'modified', content: null }
+    );
+    const stale = plan.entries.find((e) => e.path === '.cursor/rules/security-csp.mdc');
+    assert.equal(stale.action, 'delete');
+    assert.equal(stale.role, 'stale');
+
+    const forced = await generate({ cwd, tools: ['cursor'], categories: ['injection'], force: true });
+    assert.equal(actions(forced)['.cursor/rules/security-injection.mdc'], 'update');
+  });
+
+  it('plans tool config updates', async () => {
+    const cwd = await project();
+    const plan = await generate({ cwd, tools: ['aider'], categories: ['injection'] });
+    const config = plan.entries.find((entry) => entry.role === 'config');
+    assert.equal(config.path, '.aider.conf.yml');
+    assert.equal(config.content, 'read:\n  - CONVENTIONS.md\n');
+  });
+
+  it('throws typed errors instead of exiting', async () => {
+    const cwd = await project();
+    await assert.rejects(
+      () => generate({ cwd, tools: ['vim'] }),
+      (err) => err instanceof ConfigError && err.code === 'ERR_CONFIG' && /unknown tools value "vim"/.test(err.message)
+    );
+
+    await writeFile(join(cwd, '.clinerules'), '- be careful\n', 'utf-8');
+    await assert.rejects(
+      () => generate({ cwd, tools: ['cline'] }),
+      (err) => err instanceof OutputConflictError && err instanceof SecureCodingRulesError && err.path === '.clinerules'
+    );
+  });
+
+  it('returns a warning instead of failing on an installed adapter package that does not load', async () => {
+    const cwd = await project();
+    const pkg = { name: 'app', devDependencies: { 'secure-coding-rules-adapter-broken': '^1.0.0' } };
+    await writeFile(join(cwd, 'package.json'), JSON.stringify(pkg), 'utf-8');
+
+    const selected = await generate({ cwd, tools: ['claude'], categories: ['injection'] });
+    assert.deepEqual(selected.warnings, []);
+
+    const detected = await generate({ cwd, categories: ['injection'] });
+    assert.equal(detected.warnings.length, 1);
+    assert.match(detected.warnings[0], /Could not load adapter "broken"/);
+    assert.ok(detected.entries.some((entry) => entry.path === 'CLAUDE.md'));
+  });
+
+  it('splits rules between the root and each workspace package of a monorepo', async () => {
+    const cwd = await project();
+    const pkg = (path, deps) => [path, JSON.stringify({ name: path, dependencies: deps })];
+    await writeFile(join(cwd, 'package.json'), JSON.stringify({ workspaces: ['apps/*'] }), 'utf-8');
+    for (const [path, content] of [pkg('apps/web', { next: '^14' }), pkg('apps/api', { express: '^4' })]) {
+      await mkdir(join(cwd, path), { recursive: true });
+      await writeFile(join(cwd, path, 'package.json'), content, 'utf-8');
+    }
+    const categories = ['injection', 'xss-prevention', 'nextjs-security', 'express-security'];
+
+    const plan = await generate({ cwd, tools: ['claude', 'cursor', 'copilot'], categories, workspaces: true });
+    assert.deepEqual(Object.keys(actions(plan)), [
+      'CLAUDE.md',
+      'apps/api/CLAUDE.md',
+      'apps/web/CLAUDE.md',
+      '.cursor/rules/security-injection.mdc',
+      'apps/api/.cursor/rules/security-express-security.mdc',
+      'apps/web/.cursor/rules/security-xss-prevention.mdc',
+      'apps/web/.cursor/rules/security-nextjs-security.mdc',
+      '.github/copilot-instructions.md',
+      '.secure-coding-rules.lock.json',
+    ]);
+    const content = (path) => plan.entries.find((entry) => entry.path === path).content;
+    assert.equal(plan.entries.find((entry) => entry.path === 'apps/web/CLAUDE.md').role, 'package');
+    assert.ok(content('apps/web/CLAUDE.md').includes('Framework: react'));
+    assert.ok(!content('apps/api/CLAUDE.md').includes('FE-01'));
+    assert.ok(!content('CLAUDE.md').includes('FW-02'));
+    assert.deepEqual(
+      plan.packages.map(({ tool, path, categories: own }) => [tool, path, own]),
+      [
+        ['claude', 'apps/api', ['express-security']],
+        ['claude', 'apps/web', ['xss-prevention', 'nextjs-security']],
+        ['cursor', 'apps/api', ['express-security']],
+        ['cursor', 'apps/web', ['xss-prevention', 'nextjs-security']],
+      ]
+    );
+
+    await apply(plan);
+    const flat = await generate({ cwd, tools: ['claude', 'cursor', 'copilot'], categories });
+    assert.equal(actions(flat)['apps/web/CLAUDE.md'], 'delete');
+    assert.deepEqual(flat.packages, []);
+  });
+
+  it('resolves shared root rules for the stacks of the workspace packages', async () => {
+    const cwd = await project();
+    await writeFile(join(cwd, 'package.json'), JSON.stringify({ workspaces: ['packages/*'] }), 'utf-8');
+    await mkdir(join(cwd, 'packages', 'db'), { recursive: true });
+    await writeFile(
+      join(cwd, 'packages', 'db', 'package.json'),
+      JSON.stringify({ name: 'db', dependencies: { '@prisma/client': '^5' } }),
+      'utf-8'
+    );
+
+    for (const tools of [['claude'], ['cursor']]) {
+      const plan = await generate({ cwd, tools, categories: ['injection'], workspaces: true });
+      const [rule] = plan.entries;
+      assert.ok(rule.content.includes('With Prisma, use the query API'), tools[0]);
+      assert.ok(!rule.content.includes('With MongoDB'), tools[0]);
+    }
+  });
+
+  it('renders conditional template blocks for the detected stack', async () => {
+    const cwd = await project();
+    await writeFile(join(cwd, 'package.json'), JSON.stringify({ dependencies: { '@prisma/client': '^5' } }), 'utf-8');
+    const plan = await generate({ cwd, tools: ['cursor'], categories: ['injection'] });
+    const [rule] = plan.entries;
+
+    assert.ok(rule.content.includes('With Prisma, use the query API'));
+    assert.ok(rule.content.includes('prisma.$queryRaw`SELECT'));
+    assert.ok(!rule.content.includes('Mongoose'));
+  });
+
+  it('does not carry custom templates or plugin adapters over to the next project', async () => {
+    const first = await project();
+    await mkdir(join(first, 'rules'));
+    await writeFile(
+      join(first, 'rules', 'internal-api.md'),
+      '---\nid: internal-api\ntitle: Internal API\n---\n# Internal\n\n## Rules\n\n### 1. Use the Gateway\n- **DO**: Call the gateway.\n',
+      'utf-8'
+    );
+    await writeFile(
+      join(first, 'inhouse.js'),
+      "export const name = 'In-house'; export const outputPath = 'INHOUSE.md'; export const format = () => 'rules';\n",
+      'utf-8'
+    );
+    const plan = await generate({
+      cwd: first,
+      tools: ['inhouse'],
+      categories: ['internal-api'],
+      templatesDir: './rules',
+      adapters: { inhouse: './inhouse.js' },
+    });
+    assert.ok(plan.entries.some((entry) => entry.path === 'INHOUSE.md'));
+
+    const second = await project();
+    await assert.rejects(() => generate({ cwd: second, tools: ['inhouse'] }), /unknown tools value "inhouse"/);
+    await assert.rejects(
+      () => generate({ cwd: second, tools: ['claude'], categories: ['internal-api'] }),
+      /unknown categories value "internal-api"/
+    );
+  });
+
+  it('keeps custom templates and plugin adapters apart for concurrent calls', async () => {
+    // Both projects register the same template id and tool name from their own files
+    const teamProject = async (team) => {
+      const cwd = await project();
+      await mkdir(join(cwd, 'rules'));
+      await writeFile(
+        join(cwd, 'rules', 'team.md'),
+        `---\nid: team\ntitle: Team\n---\n# Team\n\n## Rules\n\n### 1. Ask ${team}\n- **DO**: Ask ${team}.\n`,
+        'utf-8'
+      );
+      await writeFile(
+        join(cwd, 'team.js'),
+        `export const name = '${team}'; export const outputPath = 'TEAM.md'; export const format = (templates) => '${team}:' + [...templates.keys()];\n`,
+        'utf-8'
+      );
+      return { cwd, tools: ['team'], categories: ['team'], templatesDir: './rules', adapters: { team: './team.js' } };
+    };
+
+    const plans = await Promise.all([generate(await teamProject('alpha')), generate(await teamProject('beta'))]);
+    assert.deepEqual(plans.map((plan) => plan.entries[0].content), ['alpha:team', 'beta:team']);
+  });
+
+  it('takes options over the project config', async () => {
+    const cwd = await project();
+    await writeFile(
+      join(cwd, 'secure-coding-rules.config.json'),
+      JSON.stringify({ tools: ['windsurf'], categories: ['csp'] }),
+      'utf-8'
+    );
+    const plan = await generate({ cwd, categories: ['injection'] });
+    assert.deepEqual(Object.keys(actions(plan)), [
+      '.windsurf/rules/security-injection.md',
+      '.secure-coding-rules.lock.json',
+    ]);
+  });
+});
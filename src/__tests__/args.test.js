@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../args.js';
+
+describe('parseArgs', () => {
+  it('parses boolean flags and short aliases', () => {
+    const flags = parseArgs(['-y', '--dry-run', '--workspaces']);
+    assert.equal(flags.yes, true);
+    assert.equal(flags.dryRun, true);
+    assert.equal(flags.workspaces, true);
+    assert.equal(flags.remove, false);
+    assert.equal(flags.force, false);
+  });
+
+  it('parses comma-separated lists', () => {
+    const flags = parseArgs(['--tools', 'cursor,claude', '--categories', 'injection, authentication']);
+    assert.deepEqual(flags.tools, ['cursor', 'claude']);
+    assert.deepEqual(flags.categories, ['injection', 'authentication']);
+  });
+
+  it('supports --flag=value form', () => {
+    const flags = parseArgs(['--output-mode=directory', '--framework=react', '--exclude=csp']);
+    assert.equal(flags.outputMode, 'directory');
+    assert.equal(flags.framework, 'react');
+    assert.deepEqual(flags.exclude, ['csp']);
+  });
+
+  it('parses --lang and --rules-lang', () => {
+    assert.equal(parseArgs(['--lang', 'ko']).lang, 'ko');
+    assert.equal(parseArgs(['--rules-lang=ja']).rulesLang, 'ja');
+  });
+
+  it('keeps --max-tokens and --detail as written for config validation', () => {
+    assert.equal(parseArgs(['--max-tokens', '8000,claude=4000']).maxTokens, '8000,claude=4000');
+    assert.equal(parseArgs(['--detail=minimal']).detail, 'minimal');
+  });
+
+  it('leaves unset selections undefined', () => {
+    const flags = parseArgs([]);
+    assert.equal(flags.tools, undefined);
+    assert.equal(flags.outputMode, undefined);
+  });
+
+  it('throws on unknown options', () => {
+    assert.throws(() => parseArgs(['--tool', 'cursor']), /Unknown option: --tool/);
+  });
+
+  it('parses the scan command with its paths', () => {
+    const flags = parseArgs(['scan', 'src', '--format', 'sarif', 'lib', '--ci']);
+    assert.equal(flags.command, 'scan');
+    assert.deepEqual(flags.paths, ['src', 'lib']);
+    assert.equal(flags.format, 'sarif');
+    assert.equal(flags.ci, true);
+  });
+
+  it('throws on unknown commands', () => {
+    assert.throws(() => parseArgs(['lint']), /Unknown command: lint/);
+    assert.throws(() => parseArgs(['--yes', 'scan']), /Unknown command: scan/);
+  });
+
+  it('throws when a value is missing', () => {
+    assert.throws(() => parseArgs(['--tools']), /--tools requires a value/);
+    assert.throws(() => parseArgs(['--tools', '--yes']), /--tools requires a value/);
+    assert.throws(() => parseArgs(['--categories=']), /--categories requires a value/);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, budgetFor, renderWithinBudget } from '../budget.js';
+import { loadTemplates } from '../loader.js';
+import { adapters } from '../adapters/index.js';
+
+const options = { framework: 'none', version: '1.0.0' };
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+  });
+
+  it('counts a token per Chinese, Japanese or Korean character', () => {
+    assert.equal(estimateTokens('보안 규칙'), 5);
+    assert.equal(estimateTokens('入力を検証する'), 7);
+    assert.equal(estimateTokens('验证输入 (OWASP)'), 6);
+  });
+});
+
+describe('budgetFor', () => {
+  it('prefers the tool budget, then the default', () => {
+    const maxTokens = { default: 8000, claude: 4000 };
+    assert.equal(budgetFor(maxTokens, 'claude'), 4000);
+    assert.equal(budgetFor(maxTokens, 'cursor'), 8000);
+    assert.equal(budgetFor({ claude: 4000 }, 'cursor'), null);
+    assert.equal(budgetFor(undefined, 'claude'), null);
+  });
+});
+
+describe('renderWithinBudget', () => {
+  it('leaves output untouched without a budget or when it fits', async () => {
+    const templates = await loadTemplates(['injection']);
+    const full = renderWithinBudget(adapters.cursor, 'multiple', templates, options);
+    assert.deepEqual(full.trimmed, { examples: false, why: false, dropped: [] });
+    assert.equal(full.maxTokens, null);
+
+    const roomy = renderWithinBudget(adapters.cursor, 'multiple', templates, options, full.tokens);
+    assert.equal(roomy.outputs[0].content, full.outputs[0].content);
+  });
+
+  it('drops code examples before WHY lines', async () => {
+    const templates = await loadTemplates(['injection']);
+    const full = renderWithinBudget(adapters.cursor, 'multiple', templates, options);
+    const result = renderWithinBudget(adapters.cursor, 'multiple', templates, options, full.tokens - 1);
+
+    assert.deepEqual(result.trimmed, { examples: true, why: false, dropped: [] });
+    assert.ok(result.tokens < full.tokens);
+    assert.ok(!result.outputs[0].content.includes('```'));
+    assert.ok(result.outputs[0].content.includes('A05-R1'));
+  });
+
+  it('does not count a stage the format never rendered', async () => {
+    const templates = await loadTemplates(['injection']);
+    const full = renderWithinBudget(adapters.claude, 'single', templates, options);
+    const result = renderWithinBudget(adapters.claude, 'single', templates, options, full.tokens - 1);
+
+    assert.equal(result.trimmed.examples, false);
+    assert.equal(result.trimmed.why, true);
+  });
+
+  it('drops lower-priority categories last-first and keeps at least one', async () => {
+    const templates = await loadTemplates(['injection', 'authentication', 'csp', 'react-security']);
+    const result = renderWithinBudget(adapters.cursor, 'multiple', templates, options, 1);
+
+    assert.deepEqual(result.trimmed.dropped, ['csp', 'react-security', 'authentication']);
+    assert.deepEqual(
+      result.outputs.map((output) => output.path),
+      ['.cursor/rules/security-injection.mdc']
+    );
+    assert.ok(result.tokens > 1);
+  });
+
+  it('keeps stripping for an adapter that condenses on its own before dropping categories', async () => {
+    const categories = [
+      'access-control', 'security-config', 'supply-chain', 'cryptographic', 'injection',
+      'secure-design', 'authentication', 'data-integrity', 'logging-alerting', 'error-handling',
+      'xss-prevention', 'csrf-protection', 'csp', 'secure-state', 'react-security', 'nextjs-security',
+    ];
+    const result = renderWithinBudget(adapters.windsurf, 'multiple', await loadTemplates(categories), options, 2500);
+
+    assert.equal(result.outputs.length, 3);
+    assert.equal(result.trimmed.dropped.length, 13);
+    assert.equal(result.trimmed.why, true);
+    assert.ok(result.tokens <= 2500);
+  });
+
+  it('reports what an adapter condensed to fit the tool limits', async () => {
+    const few = renderWithinBudget(adapters.windsurf, 'multiple', await loadTemplates(['csp']), options);
+    assert.deepEqual(few.condensed, []);
+
+    const categories = ['access-control', 'injection', 'authentication', 'cryptographic', 'xss-prevention'];
+    const many = renderWithinBudget(adapters.windsurf, 'multiple', await loadTemplates(categories), options);
+    assert.ok(many.condensed.length > 0);
+    assert.ok(many.condensed.every(({ category, examples }) => categories.includes(category) && examples));
+    assert.deepEqual(renderWithinBudget(adapters.cursor, 'multiple', await loadTemplates(categories), options).condensed, []);
+  });
+});
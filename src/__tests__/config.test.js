@@ -0,0 +1,266 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  loadConfig, validateConfig, resolvePreset, resolveRulesLang, resolveMaxTokens, resolveDetail,
+} from '../config.js';
+import { resolveConfig } from '../prompts.js';
+
+async function makeProject(files) {
+  const dir = await mkdtemp(join(tmpdir(), 'scr-config-'));
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(join(dir, name), content, 'utf-8');
+  }
+  return dir;
+}
+
+describe('config', () => {
+  const dirs = [];
+  const project = async (files) => {
+    const dir = await makeProject(files);
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  describe('loadConfig', () => {
+    it('returns null when no config exists', async () => {
+      const dir = await project({ 'package.json': '{"name":"app"}' });
+      assert.equal(await loadConfig(dir), null);
+    });
+
+    it('reads secure-coding-rules.config.json', async () => {
+      const dir = await project({
+        'secure-coding-rules.config.json': JSON.stringify({
+          tools: ['cursor', 'claude'],
+          outputMode: 'directory',
+          framework: 'react',
+        }),
+      });
+      const config = await loadConfig(dir);
+      assert.deepEqual(config.tools, ['cursor', 'claude']);
+      assert.equal(config.outputMode, 'directory');
+      assert.equal(config.source, 'secure-coding-rules.config.json');
+    });
+
+    it('reads the secureCodingRules key from package.json', async () => {
+      const dir = await project({
+        'package.json': JSON.stringify({
+          name: 'app',
+          secureCodingRules: { tools: ['agents'], exclude: ['csp'] },
+        }),
+      });
+      const config = await loadConfig(dir);
+      assert.deepEqual(config.tools, ['agents']);
+      assert.deepEqual(config.exclude, ['csp']);
+      assert.ok(config.source.includes('package.json'));
+    });
+
+    it('prefers the config file over package.json', async () => {
+      const dir = await project({
+        'secure-coding-rules.config.json': '{"tools":["cursor"]}',
+        'package.json': '{"secureCodingRules":{"tools":["claude"]}}',
+      });
+      const config = await loadConfig(dir);
+      assert.deepEqual(config.tools, ['cursor']);
+    });
+
+    it('registers templatesDir before validating categories', async () => {
+      const dir = await project({
+        'secure-coding-rules.config.json': JSON.stringify({
+          templatesDir: './rules',
+          categories: ['injection', 'internal-api'],
+        }),
+      });
+      await mkdir(join(dir, 'rules'));
+      await writeFile(
+        join(dir, 'rules', 'internal-api.md'),
+        '---\nid: internal-api\ntitle: Internal API\n---\n# Internal\n\n## Rules\n',
+        'utf-8'
+      );
+      const config = await loadConfig(dir);
+      assert.deepEqual(config.categories, ['injection', 'internal-api']);
+      assert.equal(config.templatesDir, './rules');
+    });
+
+    it('throws on invalid JSON', async () => {
+      const dir = await project({ 'secure-coding-rules.config.json': '{ tools: ' });
+      await assert.rejects(loadConfig(dir), /Could not parse/);
+    });
+
+    it('treats an unparsable package.json as no config and warns', async () => {
+      const dir = await project({ 'package.json': '{ "name": "app", }' });
+      const warnings = [];
+      assert.equal(await loadConfig(dir, warnings), null);
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0], /Could not parse package\.json/);
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('rejects unknown tools', () => {
+      assert.throws(() => validateConfig({ tools: ['emacs'] }), /unknown tools value "emacs"/);
+    });
+
+    it('rejects unknown categories and exclusions', () => {
+      assert.throws(() => validateConfig({ categories: ['nope'] }), /unknown categories/);
+      assert.throws(() => validateConfig({ exclude: ['nope'] }), /unknown exclude/);
+    });
+
+    it('rejects unknown options', () => {
+      assert.throws(() => validateConfig({ tool: ['claude'] }), /unknown option "tool"/);
+    });
+
+    it('accepts rule suppressions with a justification', () => {
+      const config = validateConfig({ suppress: { 'A05-R7': 'No user regexes' } });
+      assert.deepEqual(config.suppress, { 'A05-R7': 'No user regexes' });
+    });
+
+    it('rejects suppressions without a justification or with a bad id', () => {
+      assert.throws(() => validateConfig({ suppress: { 'A05-R7': '' } }), /written justification/);
+      assert.throws(() => validateConfig({ suppress: { injection: 'x' } }), /not a rule id/);
+      assert.throws(() => validateConfig({ suppress: ['A05-R7'] }), /must map rule ids/);
+    });
+
+    it('rejects invalid output mode', () => {
+      assert.throws(() => validateConfig({ outputMode: 'split' }), /outputMode/);
+    });
+
+    it('accepts workspaces only as a boolean', () => {
+      assert.equal(validateConfig({ workspaces: true }).workspaces, true);
+      assert.throws(() => validateConfig({ workspaces: 'yes' }), /"workspaces" must be true or false/);
+    });
+
+    it('accepts a global or per-tool token budget', () => {
+      assert.deepEqual(validateConfig({ maxTokens: 8000 }).maxTokens, { default: 8000 });
+      assert.deepEqual(
+        validateConfig({ maxTokens: { default: 8000, claude: 4000 } }).maxTokens,
+        { default: 8000, claude: 4000 }
+      );
+    });
+
+    it('rejects token budgets that are not positive integers or name unknown tools', () => {
+      assert.throws(() => validateConfig({ maxTokens: 0 }), /maxTokens/);
+      assert.throws(() => validateConfig({ maxTokens: { claude: 1.5 } }), /maxTokens/);
+      assert.throws(() => validateConfig({ maxTokens: { emacs: 4000 } }), /unknown maxTokens tool value "emacs"/);
+      assert.throws(() => validateConfig({ maxTokens: [] }), /"maxTokens" must be a number/);
+    });
+  });
+
+  describe('resolveDetail', () => {
+    it('keeps adapter defaults without a level', () => {
+      assert.equal(resolveDetail(null, {}), undefined);
+    });
+
+    it('accepts one level or per-tool levels, flags over config', () => {
+      assert.deepEqual(validateConfig({ detail: 'minimal' }).detail, { default: 'minimal' });
+      const fileConfig = validateConfig({ detail: { default: 'standard', cursor: 'full' } });
+      assert.deepEqual(resolveDetail(fileConfig, { detail: 'minimal,windsurf=full' }), {
+        default: 'minimal',
+        cursor: 'full',
+        windsurf: 'full',
+      });
+    });
+
+    it('rejects unknown levels and tools', () => {
+      assert.throws(() => validateConfig({ detail: 'verbose' }), /unknown detail value "verbose"/);
+      assert.throws(() => resolveDetail(null, { detail: 'emacs=full' }), /unknown detail tool value "emacs"/);
+      assert.throws(() => validateConfig({ detail: ['full'] }), /"detail" must be a detail level/);
+    });
+  });
+
+  describe('resolveMaxTokens', () => {
+    it('returns undefined without budgets', () => {
+      assert.equal(resolveMaxTokens(null, {}), undefined);
+    });
+
+    it('parses the command line form over config budgets', () => {
+      const fileConfig = { maxTokens: { default: 8000, cursor: 6000 } };
+      assert.deepEqual(resolveMaxTokens(fileConfig, { maxTokens: '5000, claude=2000' }), {
+        default: 5000,
+        cursor: 6000,
+        claude: 2000,
+      });
+      assert.throws(() => resolveMaxTokens(null, { maxTokens: 'lots' }), /command line/);
+    });
+  });
+
+  describe('resolvePreset', () => {
+    it('returns null without config or selection flags', () => {
+      assert.equal(resolvePreset(null, { yes: true }), null);
+    });
+
+    it('lets flags override config values', () => {
+      const preset = resolvePreset(
+        { tools: ['claude'], framework: 'react', source: 'x' },
+        { tools: ['cursor'] }
+      );
+      assert.deepEqual(preset.tools, ['cursor']);
+      assert.equal(preset.framework, 'react');
+    });
+
+    it('rejects unknown flag values with a clear error', () => {
+      assert.throws(
+        () => resolvePreset(null, { categories: ['injection', 'sqli'] }),
+        /unknown categories value "sqli"\. Expected one of: access-control/
+      );
+      assert.throws(() => resolvePreset(null, { tools: ['vim'] }), /unknown tools value "vim"/);
+    });
+  });
+
+  describe('resolveRulesLang', () => {
+    it('defaults to English', () => {
+      assert.equal(resolveRulesLang(null, {}), 'en');
+    });
+
+    it('follows an explicit --lang', () => {
+      assert.equal(resolveRulesLang(null, { lang: 'ja' }), 'ja');
+      assert.equal(resolveRulesLang(null, { lang: 'fr' }), 'en');
+    });
+
+    it('prefers --rules-lang, then config rulesLang, over --lang', () => {
+      assert.equal(resolveRulesLang({ rulesLang: 'ko' }, { lang: 'ja' }), 'ko');
+      assert.equal(resolveRulesLang({ rulesLang: 'ko' }, { lang: 'ja', rulesLang: 'zh' }), 'zh');
+    });
+
+    it('rejects unsupported languages', () => {
+      assert.throws(() => resolveRulesLang(null, { rulesLang: 'fr' }), /unknown rulesLang value "fr"/);
+      assert.throws(() => validateConfig({ rulesLang: 'fr' }), /unknown rulesLang value "fr"/);
+    });
+  });
+
+  describe('resolveConfig', () => {
+    const state = { detectedTools: ['cursor'], detectedFramework: 'react' };
+
+    it('falls back to detected tools and all categories', () => {
+      const config = resolveConfig({}, state);
+      assert.deepEqual(config.tools, ['cursor']);
+      assert.equal(config.framework, 'react');
+      assert.equal(config.outputMode, 'inline');
+      assert.ok(config.categories.includes('injection'));
+      assert.ok(config.categories.includes('nextjs-security'));
+    });
+
+    it('uses declared values over detection', () => {
+      const config = resolveConfig(
+        { tools: ['claude'], framework: 'node', categories: ['injection', 'csp'] },
+        state
+      );
+      assert.deepEqual(config.tools, ['claude']);
+      assert.equal(config.framework, 'node');
+      assert.deepEqual(config.categories, ['injection', 'csp']);
+    });
+
+    it('applies exclusions', () => {
+      const config = resolveConfig({ exclude: ['csp', 'secure-state'] }, state);
+      assert.ok(!config.categories.includes('csp'));
+      assert.ok(!config.categories.includes('secure-state'));
+      assert.ok(config.categories.includes('injection'));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import * as claude from '../adapters/claude.js';
+import * as cursor from '../adapters/cursor.js';
+import * as eslint from '../adapters/eslint.js';
+import { renderOutputs, checkDrift, extractSection, removeSection, readVersion } from '../drift.js';
+
+const TEMPLATE = `# Test
+
+## Rules
+
+### 1. Rule
+- **DO**: Validate.
+- **DON'T**: Trust.
+- **WHY**: Because.
+
+## Quick Checklist
+- [ ] Done
+`;
+
+const templates = new Map([['injection', TEMPLATE]]);
+const options = { framework: 'vanilla', version: '2.0.3' };
+
+async function writeOutputs(dir, outputs, transform = (c) => c) {
+  for (const output of outputs) {
+    const filePath = join(dir, output.path);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, transform(output.content), 'utf-8');
+  }
+}
+
+describe('drift', () => {
+  const dirs = [];
+  const tempDir = async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-drift-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  describe('renderOutputs', () => {
+    it('renders a single marker section for inline tools', () => {
+      const outputs = renderOutputs(claude, 'single', templates, options, ['injection']);
+      assert.equal(outputs.length, 1);
+      assert.equal(outputs[0].path, 'CLAUDE.md');
+      assert.equal(outputs[0].section, true);
+    });
+
+    it('renders rule files plus reference in directory mode', () => {
+      const outputs = renderOutputs(claude, 'directory', templates, options, ['injection']);
+      assert.deepEqual(
+        outputs.map((o) => o.path),
+        ['.claude/rules/security-injection.md', 'CLAUDE.md']
+      );
+    });
+
+    it('renders whole files for directory-native tools', () => {
+      const outputs = renderOutputs(cursor, 'multiple', templates, options, ['injection']);
+      assert.equal(outputs[0].path, '.cursor/rules/security-injection.mdc');
+      assert.equal(outputs[0].section, false);
+    });
+  });
+
+  describe('checkDrift', () => {
+    it('reports nothing when files match', async () => {
+      const dir = await tempDir();
+      const outputs = renderOutputs(cursor, 'multiple', templates, options, ['injection']);
+      await writeOutputs(dir, outputs);
+      assert.deepEqual(await checkDrift(dir, outputs, '2.0.3'), []);
+    });
+
+    it('ignores content outside the markers', async () => {
+      const dir = await tempDir();
+      const outputs = renderOutputs(claude, 'single', templates, options, ['injection']);
+      await writeOutputs(dir, outputs, (c) => `# My Project\n\n${c}\n\n## Notes\n`);
+      assert.deepEqual(await checkDrift(dir, outputs, '2.0.3'), []);
+    });
+
+    it('reports missing files and missing sections', async () => {
+      const dir = await tempDir();
+      const outputs = renderOutputs(claude, 'single', templates, options, ['injection']);
+      assert.equal((await checkDrift(dir, outputs, '2.0.3'))[0].status, 'missing');
+
+      await writeFile(join(dir, 'CLAUDE.md'), '# Only my notes\n', 'utf-8');
+      assert.equal((await checkDrift(dir, outputs, '2.0.3'))[0].status, 'missing');
+    });
+
+    it('reports hand edits inside the markers as modified', async () => {
+      const dir = await tempDir();
+      const outputs = renderOutputs(claude, 'single', templates, options, ['injection']);
+      await writeOutputs(dir, outputs, (c) => c.replace('Validate.', 'Validate sometimes.'));
+      const drift = await checkDrift(dir, outputs, '2.0.3');
+      assert.equal(drift.length, 1);
+      assert.equal(drift[0].status, 'modified');
+    });
+
+    it('reports files generated by another version as outdated', async () => {
+      const dir = await tempDir();
+      const old = renderOutputs(claude, 'single', templates, { ...options, version: '2.0.1' }, ['injection']);
+      await writeOutputs(dir, old);
+      const outputs = renderOutputs(claude, 'single', templates, options, ['injection']);
+      const drift = await checkDrift(dir, outputs, '2.0.3');
+      assert.equal(drift[0].status, 'outdated');
+      assert.equal(drift[0].version, '2.0.1');
+    });
+  });
+
+  describe('extractSection / readVersion', () => {
+    it('extracts the marker section and its version', () => {
+      const section = claude.format(templates, options);
+      const content = `before\n\n${section}\n\nafter`;
+      assert.equal(extractSection(content), section);
+      assert.equal(readVersion(content), '2.0.3');
+    });
+
+    it('returns null without markers', () => {
+      assert.equal(extractSection('# nothing'), null);
+      assert.equal(readVersion('# nothing'), null);
+    });
+
+    it('reads line-comment sections in JavaScript files', () => {
+      const section = eslint.format(templates, options);
+      const content = eslint.merge('export default [\n  js.configs.recommended,\n];\n', section);
+      assert.equal(extractSection(content), section.trim());
+      assert.equal(readVersion(content), '2.0.3');
+    });
+  });
+
+  describe('removeSection', () => {
+    it('cuts the marker section and the blank lines around it', () => {
+      const section = claude.format(templates, options);
+      assert.equal(removeSection(`# Notes\n\n${section}\n\n## More\n`), '# Notes\n\n## More');
+      assert.equal(removeSection(section), '');
+      assert.equal(removeSection('# nothing'), null);
+    });
+
+    it('removes whole lines of line-comment sections and keeps the code around them', () => {
+      const config = 'import js from "@eslint/js";\n\nexport default [\n  js.configs.recommended,\n];\n';
+      const merged = eslint.merge(config, eslint.format(templates, options));
+      assert.equal(removeSection(merged), config.trimEnd());
+    });
+  });
+});
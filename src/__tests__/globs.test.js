@@ -0,0 +1,111 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { scanProjectGlobs, categoryGlobs, ruleScope } from '../globs.js';
+
+describe('globs', () => {
+  const dirs = [];
+  const project = async (files) => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-globs-'));
+    dirs.push(dir);
+    for (const file of files) {
+      await mkdir(join(dir, dirname(file)), { recursive: true });
+      await writeFile(join(dir, file), '', 'utf-8');
+    }
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  describe('scanProjectGlobs', () => {
+    it('scopes categories to matching directories and files', async () => {
+      const dir = await project([
+        'src/server/iam/users.ts',
+        'src/server/iam/sessions.ts',
+        'app/api/users/route.ts',
+        'src/lib/db.ts',
+        'src/authMiddleware.ts',
+        'package.json',
+      ]);
+      const globs = scanProjectGlobs(dir, ['authentication', 'injection', 'access-control', 'supply-chain']);
+
+      assert.deepEqual(globs.authentication, ['src/authMiddleware.ts', 'src/server/iam/**']);
+      assert.deepEqual(globs.injection, ['app/api/**', 'src/lib/db.ts']);
+      assert.deepEqual(globs['access-control'], ['src/authMiddleware.ts']);
+      assert.deepEqual(globs['supply-chain'], ['package.json']);
+    });
+
+    it('matches keywords as whole words, not as prefixes of other words', async () => {
+      const dir = await project([
+        'src/pages/Login.tsx',
+        'src/components/LoginForm.tsx',
+        'src/components/Header.tsx',
+        'src/assets/logo.svg.ts',
+        'src/server/app.ts',
+        'src/utils/formatDate.ts',
+        'src/utils/format.js',
+        'src/lib/audit-log.js',
+        'src/logger.ts',
+        'src/securityHeaders.ts',
+        'src/signIn.ts',
+        'src/oauth2Client.ts',
+      ]);
+      const globs = scanProjectGlobs(dir, ['logging-alerting', 'csp', 'csrf-protection', 'authentication']);
+
+      assert.deepEqual(globs['logging-alerting'], ['src/lib/audit-log.js', 'src/logger.ts']);
+      assert.deepEqual(globs.csp, ['src/securityHeaders.ts']);
+      assert.deepEqual(globs['csrf-protection'], ['src/components/LoginForm.tsx']);
+      assert.deepEqual(globs.authentication, [
+        'src/components/LoginForm.tsx', 'src/oauth2Client.ts', 'src/pages/Login.tsx', 'src/signIn.ts',
+      ]);
+    });
+
+    it('scopes file-type categories by the extensions in use', async () => {
+      const dir = await project(['src/App.tsx', 'src/index.ts', 'src/util.js']);
+      const globs = scanProjectGlobs(dir, ['typescript-security', 'react-security', 'vue-security']);
+      assert.deepEqual(globs['typescript-security'], ['**/*.ts', '**/*.tsx']);
+      assert.deepEqual(globs['react-security'], ['**/*.tsx']);
+      assert.equal(globs['vue-security'], undefined);
+    });
+
+    it('skips dependencies, build output and hidden directories', async () => {
+      const dir = await project(['node_modules/pkg/auth.js', 'dist/auth.js', '.cache/auth.js', 'src/index.js']);
+      assert.deepEqual(scanProjectGlobs(dir, ['authentication']), {});
+    });
+
+    it('collapses long file lists to their directories', async () => {
+      const flat = await project(Array.from({ length: 14 }, (_, i) => `src/lib/query${i}.js`));
+      assert.deepEqual(scanProjectGlobs(flat, ['injection']).injection, ['src/lib/*']);
+
+      // Still too many directories: fall back to the filename guess
+      const spread = await project(Array.from({ length: 14 }, (_, i) => `src/m${i}/query.js`));
+      assert.equal(scanProjectGlobs(spread, ['injection']).injection, undefined);
+    });
+  });
+
+  describe('categoryGlobs', () => {
+    it('prefers scanned globs, then the filename guess', () => {
+      const options = { framework: 'vanilla', globs: { injection: ['app/api/**'] } };
+      assert.deepEqual(categoryGlobs('injection', options), ['app/api/**']);
+      assert.deepEqual(categoryGlobs('authentication', options), [
+        '**/{auth,login,signup,session}*.{js,ts,jsx,tsx}',
+      ]);
+      assert.equal(categoryGlobs('secure-design', options), null);
+      assert.deepEqual(categoryGlobs('logging-alerting', options), [
+        '**/{log,logs,logger*,logging*,monitor*,alert*,audit*}.{js,ts}',
+      ]);
+    });
+  });
+
+  describe('ruleScope', () => {
+    it('attaches scoped categories and always applies unscoped core ones', () => {
+      assert.equal(ruleScope('access-control', ['src/**']), 'auto');
+      assert.equal(ruleScope('secure-design', null), 'always');
+      assert.equal(ruleScope('react-security', null), 'agent');
+    });
+  });
+});
@@ -1,6 +1,52 @@
-import { describe, it } from 'node:test';
+import { describe, it, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { loadTemplate, loadTemplates, getCategoryInfo } from '../loader.js';
+import { mkdtemp, writeFile, rm, readFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  loadTemplate,
+  loadTemplates,
+  getCategoryInfo,
+  loadCustomTemplates,
+  getCustomCategories,
+  parseFrontmatter,
+  parseTemplate,
+  ruleId,
+  applySuppressions,
+  resolveConditionals,
+  resolveTemplates,
+  untranslatedCategories,
+} from '../loader.js';
+import { renderFull } from '../render.js';
+import { getSecurityCategories } from '../prompts.js';
+
+const CUSTOM_TEMPLATE = `---
+id: legacy-billing
+title: Legacy Billing API
+group: internal
+code: ORG-01
+---
+# Legacy Billing Rules
+
+## Rules
+
+### 1. Never Call the Legacy Billing API Directly
+- **DO**: Go through the billing gateway service.
+- **DON'T**: Import the legacy billing client.
+- **WHY**: The legacy API skips fraud checks.
+
+## Quick Checklist
+- [ ] No direct legacy billing calls
+`;
+
+async function customDir(files) {
+  const dir = await mkdtemp(join(tmpdir(), 'scr-templates-'));
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(join(dir, name), content, 'utf-8');
+  }
+  return dir;
+}
 
 describe('loader', () => {
   describe('loadTemplate', () => {
@@ -17,6 +63,19 @@ describe('loader', () => {
       assert.ok(content.includes('## Rules'));
     });
 
+    it('loads the framework templates', async () => {
+      const frameworks = [
+        'vue-security', 'nuxt-security', 'fastify-security', 'koa-security', 'nestjs-security',
+      ];
+      for (const category of frameworks) {
+        const content = await loadTemplate(category);
+        assert.ok(content);
+        assert.ok(content.includes('## Rules'));
+        assert.ok(content.includes('## Code Examples'));
+        assert.ok(content.includes('## Quick Checklist'));
+      }
+    });
+
     it('returns null for unknown category', async () => {
       const content = await loadTemplate('nonexistent-category');
       assert.equal(content, null);
@@ -42,12 +101,69 @@ describe('loader', () => {
       assert.equal(templates.size, 14);
     });
 
+    it('parses templates into the structured model', async () => {
+      const templates = await loadTemplates(['injection']);
+      const template = templates.get('injection');
+      assert.equal(template.title, 'Injection Security Rules');
+      assert.equal(template.rules.length, 7);
+      assert.equal(template.rules[3].number, 4);
+      assert.ok(template.rules[3].dont.includes('child_process.exec()'));
+      assert.ok(template.examples.some((e) => e.kind === 'bad'));
+      assert.ok(template.checklist.length > 0);
+    });
+
     it('skips unknown categories gracefully', async () => {
       const templates = await loadTemplates(['access-control', 'fake']);
       assert.equal(templates.size, 1);
     });
   });
 
+  describe('localized templates', () => {
+    const localesDir = fileURLToPath(new URL('../templates/locales', import.meta.url));
+
+    it('loads a translation when one exists', async () => {
+      const template = await loadTemplate('injection', 'ko');
+      assert.ok(template.startsWith('# 인젝션 보안 룰'));
+    });
+
+    it('falls back to English per template', async () => {
+      const templates = await loadTemplates(['injection', 'react-security'], 'ja');
+      assert.match(templates.get('injection').title, /インジェクション/);
+      assert.equal(templates.get('react-security').title, 'React Security Rules');
+    });
+
+    it('lists the categories that fall back to English', () => {
+      const categories = ['injection', 'react-security', 'csp', 'unknown-custom'];
+      assert.deepEqual(untranslatedCategories(categories, 'zh'), ['react-security', 'csp']);
+      assert.deepEqual(untranslatedCategories(categories, 'en'), []);
+    });
+
+    it('keeps rule numbering and code examples in line with English', async () => {
+      const stack = { framework: 'react', orm: ['prisma', 'mongoose', 'sequelize'] };
+      for (const lang of await readdir(localesDir)) {
+        const translated = resolveTemplates(
+          await loadTemplates(getSecurityCategories().map((c) => c.value), lang), stack
+        );
+        const english = resolveTemplates(await loadTemplates([...translated.keys()]), stack);
+        for (const [category, template] of translated) {
+          const source = english.get(category);
+          const label = `${lang}/${category}`;
+          assert.deepEqual(
+            template.rules.map((r) => r.id),
+            source.rules.map((r) => r.id),
+            label
+          );
+          assert.equal(template.checklist.length > 0, true, label);
+          assert.deepEqual(
+            template.examples.map((e) => e.blocks),
+            source.examples.map((e) => e.blocks),
+            label
+          );
+        }
+      }
+    });
+  });
+
   describe('getCategoryInfo', () => {
     it('returns correct OWASP code for core categories', () => {
       assert.equal(getCategoryInfo('access-control').owasp, 'A01');
@@ -60,9 +176,240 @@ describe('loader', () => {
       assert.equal(getCategoryInfo('csp').owasp, 'FE-03');
     });
 
+    it('returns correct info for framework categories', () => {
+      assert.equal(getCategoryInfo('vue-security').owasp, 'FW-04');
+      assert.equal(getCategoryInfo('nuxt-security').group, 'frameworks');
+      assert.equal(getCategoryInfo('fastify-security').owasp, 'FW-06');
+      assert.equal(getCategoryInfo('nestjs-security').owasp, 'FW-08');
+    });
+
     it('returns fallback for unknown category', () => {
       const info = getCategoryInfo('unknown');
       assert.equal(info.owasp, '??');
     });
   });
+
+  describe('custom templates', () => {
+    const dirs = [];
+    after(async () => {
+      await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+    });
+    const makeDir = async (files) => {
+      const dir = await customDir(files);
+      dirs.push(dir);
+      return dir;
+    };
+
+    it('registers templates from a directory', async () => {
+      const dir = await makeDir({ 'billing.md': CUSTOM_TEMPLATE, 'notes.txt': 'ignored' });
+      const ids = await loadCustomTemplates(dir);
+      assert.deepEqual(ids, ['legacy-billing']);
+
+      const info = getCategoryInfo('legacy-billing');
+      assert.equal(info.owasp, 'ORG-01');
+      assert.equal(info.title, 'Legacy Billing API');
+      assert.equal(info.group, 'internal');
+      assert.ok(getCustomCategories().some((c) => c.value === 'legacy-billing'));
+    });
+
+    it('loads custom template content without frontmatter', async () => {
+      const dir = await makeDir({
+        'payments.md': CUSTOM_TEMPLATE.replace('id: legacy-billing', 'id: payments'),
+      });
+      await loadCustomTemplates(dir);
+      const templates = await loadTemplates(['injection', 'payments']);
+      assert.equal(templates.size, 2);
+      const template = templates.get('payments');
+      assert.equal(template.title, 'Legacy Billing Rules');
+      assert.equal(template.rules[0].title, 'Never Call the Legacy Billing API Directly');
+    });
+
+    it('rejects templates missing id or title', async () => {
+      const dir = await makeDir({ 'bad.md': '---\ntitle: No id\n---\n## Rules\n' });
+      await assert.rejects(loadCustomTemplates(dir), /needs "id" and "title"/);
+    });
+
+    it('rejects ids that collide with built-in templates', async () => {
+      const dir = await makeDir({
+        'inj.md': '---\nid: injection\ntitle: Mine\n---\n## Rules\n',
+      });
+      await assert.rejects(loadCustomTemplates(dir), /built-in template/);
+    });
+
+    it('rejects the same id from two different files', async () => {
+      const dir = await makeDir({
+        'a.md': CUSTOM_TEMPLATE.replace('id: legacy-billing', 'id: dup'),
+        'b.md': CUSTOM_TEMPLATE.replace('id: legacy-billing', 'id: dup'),
+      });
+      await assert.rejects(loadCustomTemplates(dir), /already used by/);
+    });
+
+    it('rejects templates without a Rules section', async () => {
+      const dir = await makeDir({ 'x.md': '---\nid: no-rules\ntitle: X\n---\n# X\n' });
+      await assert.rejects(loadCustomTemplates(dir), /## Rules/);
+    });
+
+    it('rejects a missing directory', async () => {
+      await assert.rejects(loadCustomTemplates('/nonexistent/rules'), /not found/);
+    });
+  });
+
+  describe('parseFrontmatter', () => {
+    it('parses simple key/value pairs and strips quotes', () => {
+      const { data, body } = parseFrontmatter('---\nid: a\ntitle: "B: c"\n---\n# Body\n');
+      assert.deepEqual(data, { id: 'a', title: 'B: c' });
+      assert.equal(body, '# Body\n');
+    });
+
+    it('returns content unchanged without frontmatter', () => {
+      const { data, body } = parseFrontmatter('# Body');
+      assert.deepEqual(data, {});
+      assert.equal(body, '# Body');
+    });
+  });
+
+  describe('parseTemplate', () => {
+    const templatesDir = fileURLToPath(new URL('../templates', import.meta.url));
+
+    it('round-trips every built-in template and translation', async () => {
+      const files = (await readdir(templatesDir, { recursive: true })).filter((f) =>
+        f.endsWith('.md')
+      );
+      assert.ok(files.length > 0);
+      for (const file of files) {
+        const source = resolveConditionals(await readFile(join(templatesDir, file), 'utf-8'), {}, file);
+        assert.equal(renderFull(parseTemplate(source, file)) + '\n', source, file);
+      }
+    });
+
+    it('extracts rule fields, examples and checklist', () => {
+      const template = parseTemplate(CUSTOM_TEMPLATE.replace(/^---[\s\S]*?---\n/, ''));
+      assert.deepEqual(template.rules[0], {
+        number: 1,
+        id: null,
+        title: 'Never Call the Legacy Billing API Directly',
+        do: 'Go through the billing gateway service.',
+        dont: 'Import the legacy billing client.',
+        why: 'The legacy API skips fraud checks.',
+      });
+      assert.deepEqual(template.checklist, ['No direct legacy billing calls']);
+    });
+
+    it('joins indented continuation lines into the current field', () => {
+      const template = parseTemplate(
+        '# T\n\n## Rules\n\n### 1. R\n- **DO**: First line\n  continues here.\n'
+      );
+      assert.equal(template.rules[0].do, 'First line continues here.');
+    });
+
+    it('keeps unknown sections verbatim', () => {
+      const template = parseTemplate('# T\n\n## Rules\n\n### 1. R\n\n## References\n\n- https://owasp.org\n');
+      assert.deepEqual(template.sections, [{ heading: 'References', body: '- https://owasp.org' }]);
+    });
+
+    it('throws on lines it cannot place instead of dropping them', () => {
+      assert.throws(
+        () => parseTemplate('# T\n\n## Rules\n\n### 1. R\n- **NOTE**: lost?\n', 'custom'),
+        /custom: unexpected line 6 in Rules/
+      );
+      assert.throws(
+        () => parseTemplate('# T\n\n## Quick Checklist\n* item\n'),
+        /Quick Checklist/
+      );
+    });
+  });
+
+  describe('rule ids', () => {
+    it('derives stable ids from the category code and rule position', async () => {
+      assert.equal(ruleId('injection', 4), 'A05-R4');
+      assert.equal(ruleId('xss-prevention', 1), 'FE-01-R1');
+      const templates = await loadTemplates(['injection']);
+      assert.equal(templates.get('injection').rules[6].id, 'A05-R7');
+    });
+  });
+
+  describe('applySuppressions', () => {
+    it('removes suppressed rules and records the justification', async () => {
+      const templates = await loadTemplates(['injection', 'access-control']);
+      applySuppressions(templates, { 'A05-R7': 'No user-supplied regex patterns in this service' });
+
+      const injection = templates.get('injection');
+      assert.equal(injection.rules.length, 6);
+      assert.ok(!injection.rules.some((r) => r.id === 'A05-R7'));
+      assert.deepEqual(injection.exceptions, [{
+        id: 'A05-R7',
+        title: 'Sanitize Regular Expressions',
+        reason: 'No user-supplied regex patterns in this service',
+      }]);
+      assert.equal(templates.get('access-control').exceptions.length, 0);
+    });
+
+    it('keeps ids of the remaining rules unchanged', async () => {
+      const templates = await loadTemplates(['injection']);
+      applySuppressions(templates, { 'A05-R2': 'Handled by the frontend team' });
+      assert.deepEqual(
+        templates.get('injection').rules.map((r) => r.id),
+        ['A05-R1', 'A05-R3', 'A05-R4', 'A05-R5', 'A05-R6', 'A05-R7']
+      );
+    });
+
+    it('ignores ids of categories that were not selected', async () => {
+      const templates = await loadTemplates(['injection']);
+      assert.doesNotThrow(() => applySuppressions(templates, { 'A01-R2': 'n/a' }));
+    });
+
+    it('throws on ids that do not exist', async () => {
+      const templates = await loadTemplates(['injection']);
+      assert.throws(() => applySuppressions(templates, { 'A05-R9': 'x' }), /Unknown rule id/);
+      assert.throws(() => applySuppressions(templates, { 'ZZ-R1': 'x' }), /Unknown rule id/);
+    });
+  });
+
+  describe('conditional blocks', () => {
+    const source = [
+      '<!-- if orm=prisma -->', 'prisma', '<!-- elif orm=mongoose|typeorm -->', 'mongo or typeorm',
+      '<!-- else -->', 'any orm', '<!-- endif -->',
+      '<!-- if typescript=true -->', '<!-- if framework!=vue -->', 'typed, not vue', '<!-- endif -->', '<!-- endif -->',
+    ].join('\n');
+
+    it('keeps the first matching branch, nested blocks included', () => {
+      assert.equal(resolveConditionals(source, {}), 'any orm');
+      assert.equal(resolveConditionals(source, { orm: ['pg', 'typeorm'] }), 'mongo or typeorm');
+      assert.equal(
+        resolveConditionals(source, { orm: ['prisma'], typescript: true, framework: 'react' }),
+        'prisma\ntyped, not vue'
+      );
+      assert.equal(resolveConditionals(source, { typescript: true, framework: 'vue' }), 'any orm');
+    });
+
+    it('throws on unknown keys, unbalanced blocks and conditional rule headings', () => {
+      assert.throws(() => resolveConditionals('<!-- if db=prisma -->\n<!-- endif -->', {}, 'x'), /x: invalid condition "db=prisma" on line 1/);
+      assert.throws(() => resolveConditionals('<!-- else -->', {}, 'x'), /"else" without "if"/);
+      assert.throws(() => resolveConditionals('<!-- if orm=knex -->\n', {}, 'x'), /missing "<!-- endif -->"/);
+      assert.throws(
+        () => resolveConditionals('## Rules\n<!-- if orm=knex -->\n### 1. Rule\n<!-- endif -->', {}, 'x'),
+        /rule headings cannot be inside a conditional block on line 3/
+      );
+    });
+
+    it('loads templates for no stack and resolves them for the project stack', async () => {
+      const templates = await loadTemplates(['injection', 'xss-prevention']);
+      applySuppressions(templates, { 'A05-R7': 'No user-supplied regex patterns' });
+      const generic = templates.get('injection');
+      assert.ok(!generic.rules[0].do.includes('Prisma'));
+      assert.ok(!generic.examples.some((e) => e.title.includes('Prisma')));
+
+      const resolved = resolveTemplates(templates, { framework: 'react', orm: ['prisma'] });
+      const injection = resolved.get('injection');
+      assert.ok(injection.rules[0].do.includes('`$queryRaw` tagged templates'));
+      assert.deepEqual(
+        injection.examples.filter((e) => e.title.includes('(')).map((e) => e.title),
+        ['Bad Practice (Prisma)', 'Good Practice (Prisma)']
+      );
+      assert.equal(injection.rules.length, 6);
+      assert.equal(injection.exceptions[0].id, 'A05-R7');
+      assert.ok(resolved.get('xss-prevention').rules[1].do.includes('JSX'));
+      assert.ok(!resolved.get('xss-prevention').rules[1].do.includes('Vue'));
+    });
+  });
 });
@@ -0,0 +1,166 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  MANIFEST_FILE,
+  readManifest,
+  writeManifest,
+  hashContent,
+  ownedState,
+  toolSelection,
+  recordedPresets,
+} from '../manifest.js';
+import { removeSection } from '../drift.js';
+
+const SECTION = [
+  '<!-- js-secure-coding:start -->',
+  '<!-- version: 2.0.3 -->',
+  '## Rules',
+  '<!-- js-secure-coding:end -->',
+].join('\n');
+
+describe('manifest', () => {
+  const dirs = [];
+  const tempDir = async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-manifest-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(async () => {
+    for (const dir of dirs) await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should return null when there is no manifest', async () => {
+    assert.equal(await readManifest(await tempDir()), null);
+  });
+
+  it('should round-trip entries with sorted paths', async () => {
+    const dir = await tempDir();
+    await writeManifest(dir, {
+      version: '2.0.3',
+      files: {
+        'CLAUDE.md': { tool: 'claude', section: true, hash: 'sha256-b', version: '2.0.3' },
+        '.claude/rules/security-xss.md': { tool: 'claude', section: false, hash: 'sha256-a', version: '2.0.3' },
+      },
+    });
+
+    const raw = await readFile(join(dir, MANIFEST_FILE), 'utf-8');
+    assert.ok(raw.endsWith('\n'));
+    assert.ok(raw.indexOf('.claude/rules') < raw.indexOf('CLAUDE.md'));
+
+    const manifest = await readManifest(dir);
+    assert.equal(manifest.version, '2.0.3');
+    assert.equal(manifest.files['CLAUDE.md'].tool, 'claude');
+  });
+
+  it('should keep the selections of tools that still own files', async () => {
+    const dir = await tempDir();
+    const selection = { categories: ['injection'], framework: 'vanilla', outputMode: 'inline', rulesLang: 'en' };
+    await writeManifest(dir, {
+      version: '2.0.3',
+      tools: { claude: selection, cursor: selection },
+      files: { 'CLAUDE.md': { tool: 'claude', section: true, hash: 'sha256-a', version: '2.0.3' } },
+    });
+
+    const manifest = await readManifest(dir);
+    assert.deepEqual(manifest.tools, { claude: selection });
+  });
+
+  it('should record a tool selection and turn it back into a preset', () => {
+    const config = {
+      tools: ['cursor', 'claude'],
+      categories: ['injection', 'csp'],
+      framework: 'react',
+      outputMode: 'directory',
+      rulesLang: 'ko',
+      maxTokens: { default: 8000, claude: 4000 },
+      detail: { cursor: 'minimal' },
+      workspaces: false,
+      suppress: {},
+    };
+    const cursor = toolSelection(config, 'cursor');
+    assert.deepEqual(cursor, {
+      categories: ['injection', 'csp'],
+      framework: 'react',
+      outputMode: 'directory',
+      rulesLang: 'ko',
+      maxTokens: 8000,
+      detail: 'minimal',
+    });
+
+    const [preset] = recordedPresets({ tools: { cursor } });
+    assert.deepEqual(preset.tools, ['cursor']);
+    assert.deepEqual(preset.maxTokens, { cursor: 8000 });
+    assert.deepEqual(preset.detail, { cursor: 'minimal' });
+    assert.equal(preset.rulesLang, 'ko');
+    assert.deepEqual(recordedPresets(null), []);
+  });
+
+  it('should delete the manifest once nothing is owned', async () => {
+    const dir = await tempDir();
+    await writeManifest(dir, {
+      version: '2.0.3',
+      files: { 'AGENTS.md': { tool: 'agents', section: true, hash: 'sha256-a', version: '2.0.3' } },
+    });
+    await writeManifest(dir, { version: '2.0.3', files: {} });
+    assert.equal(existsSync(join(dir, MANIFEST_FILE)), false);
+  });
+
+  it('should reject an unparsable manifest', async () => {
+    const dir = await tempDir();
+    await writeFile(join(dir, MANIFEST_FILE), '{ nope');
+    await assert.rejects(() => readManifest(dir), /Could not parse \.secure-coding-rules\.lock\.json/);
+  });
+
+  it('should hash independently of line endings and surrounding whitespace', () => {
+    assert.equal(hashContent('a\nb\n'), hashContent('a\r\nb'));
+    assert.notEqual(hashContent('a\nb'), hashContent('a\nc'));
+    assert.match(hashContent('a'), /^sha256-[0-9a-f]{64}$/);
+  });
+
+  it('should report missing, unchanged and modified files', async () => {
+    const dir = await tempDir();
+    const entry = { tool: 'cursor', section: false, hash: hashContent('rules\n') };
+
+    assert.equal(await ownedState(dir, 'security-x.mdc', entry), 'missing');
+
+    await writeFile(join(dir, 'security-x.mdc'), 'rules\n');
+    assert.equal(await ownedState(dir, 'security-x.mdc', entry), 'unchanged');
+
+    await writeFile(join(dir, 'security-x.mdc'), 'rules\nmy own rule\n');
+    assert.equal(await ownedState(dir, 'security-x.mdc', entry), 'modified');
+  });
+
+  it('should only hash the marked section of merged files', async () => {
+    const dir = await tempDir();
+    const entry = { tool: 'claude', section: true, hash: hashContent(SECTION) };
+
+    await writeFile(join(dir, 'CLAUDE.md'), `# My Project\n\nNotes edited later.\n\n${SECTION}\n`);
+    assert.equal(await ownedState(dir, 'CLAUDE.md', entry), 'unchanged');
+
+    await writeFile(join(dir, 'CLAUDE.md'), `# My Project\n\n${SECTION.replace('## Rules', '## Mine')}\n`);
+    assert.equal(await ownedState(dir, 'CLAUDE.md', entry), 'modified');
+
+    await writeFile(join(dir, 'CLAUDE.md'), '# My Project\n');
+    assert.equal(await ownedState(dir, 'CLAUDE.md', entry), 'missing');
+  });
+});
+
+describe('removeSection', () => {
+  it('should cut the section and keep surrounding content', () => {
+    const content = `# My Project\n\nIntro.\n\n${SECTION}\n\n## Footer\n`;
+    assert.equal(removeSection(content), '# My Project\n\nIntro.\n\n## Footer');
+  });
+
+  it('should return an empty string when only the section was present', () => {
+    assert.equal(removeSection(`${SECTION}\n`), '');
+  });
+
+  it('should return null when there is no section', () => {
+    assert.equal(removeSection('# My Project\n'), null);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { findAdapterPlugins, loadAdapterPlugins, findAdapterPackages } from '../plugins.js';
+import { adapters, validateAdapter, registerAdapter, outputLayout } from '../adapters/index.js';
+import { loadConfig } from '../config.js';
+import { getAITools, detectProjectState } from '../prompts.js';
+import * as claude from '../adapters/claude.js';
+
+const PLUGIN_SOURCE = `
+export const name = 'In-house Assistant';
+export const outputDir = '.inhouse/rules';
+export function formatMultiple(templates) {
+  const files = new Map();
+  for (const [category] of templates) files.set(\`security-\${category}.md\`, category + '\\n');
+  return files;
+}
+`;
+
+describe('adapter plugins', () => {
+  const dirs = [];
+  const project = async (files) => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-plugins-'));
+    dirs.push(dir);
+    for (const [name, content] of Object.entries(files)) {
+      await mkdir(join(dir, name, '..'), { recursive: true });
+      await writeFile(join(dir, name), content, 'utf-8');
+    }
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  it('loads an adapter declared by path and fills in label and detection', async () => {
+    const dir = await project({ 'tools/inhouse.js': PLUGIN_SOURCE });
+    await findAdapterPlugins(dir, { inhouse: './tools/inhouse.js' });
+    assert.deepEqual(await loadAdapterPlugins(), { loaded: ['inhouse'], warnings: [] });
+
+    assert.equal(adapters.inhouse.label, 'In-house Assistant');
+    assert.deepEqual(adapters.inhouse.detectPaths, ['.inhouse/rules']);
+    assert.equal(outputLayout(adapters.inhouse, 'inline'), 'multiple');
+    assert.ok(getAITools().some((tool) => tool.value === 'inhouse'));
+
+    await mkdir(join(dir, '.inhouse', 'rules'), { recursive: true });
+    assert.ok(detectProjectState(dir).detectedTools.includes('inhouse'));
+  });
+
+  it('discovers secure-coding-rules-adapter-* packages in dependencies', async () => {
+    const dir = await project({
+      'package.json': JSON.stringify({
+        devDependencies: { '@acme/secure-coding-rules-adapter-acme': '^1.0.0', lodash: '^4' },
+      }),
+      'node_modules/@acme/secure-coding-rules-adapter-acme/package.json': JSON.stringify({
+        name: '@acme/secure-coding-rules-adapter-acme',
+        type: 'module',
+        main: 'index.js',
+      }),
+      'node_modules/@acme/secure-coding-rules-adapter-acme/index.js':
+        `export default { name: 'Acme', outputPath: 'ACME.md', format: () => 'rules' };`,
+    });
+
+    assert.deepEqual(await findAdapterPackages(dir), { acme: '@acme/secure-coding-rules-adapter-acme' });
+    await findAdapterPlugins(dir);
+    await loadAdapterPlugins();
+    assert.equal(adapters.acme.name, 'Acme');
+    assert.equal(outputLayout(adapters.acme, 'directory'), 'single');
+  });
+
+  it('accepts plugin tools in the project config', async () => {
+    const dir = await project({
+      'tools/team.js': PLUGIN_SOURCE.replace('.inhouse/rules', '.team/rules'),
+      'secure-coding-rules.config.json': JSON.stringify({
+        adapters: { team: './tools/team.js' },
+        tools: ['team', 'claude'],
+      }),
+    });
+    const config = await loadConfig(dir);
+    assert.deepEqual(config.tools, ['team', 'claude']);
+    assert.deepEqual(config.adapters, { team: './tools/team.js' });
+    assert.equal(adapters.team, undefined);
+
+    await loadAdapterPlugins(config.tools);
+    assert.equal(adapters.team.name, 'In-house Assistant');
+  });
+
+  it('imports only the plugins of the selected tools', async () => {
+    const dir = await project({
+      'tools/solo.js': PLUGIN_SOURCE.replace('.inhouse/rules', '.solo/rules'),
+      'tools/other.js': PLUGIN_SOURCE.replace('.inhouse/rules', '.other/rules'),
+    });
+    await findAdapterPlugins(dir, { solo: './tools/solo.js', other: './tools/other.js' });
+    assert.deepEqual(await loadAdapterPlugins(['solo', 'claude']), { loaded: ['solo'], warnings: [] });
+    assert.equal(adapters.other, undefined);
+  });
+
+  it('reports declared modules that cannot be loaded', async () => {
+    const dir = await project({});
+    await findAdapterPlugins(dir, { gone: './tools/gone.js' });
+    await assert.rejects(
+      () => loadAdapterPlugins(),
+      /Could not load adapter "gone" from \.\/tools\/gone\.js/
+    );
+  });
+
+  it('skips installed packages that cannot be loaded with a warning', async () => {
+    const dir = await project({
+      'package.json': JSON.stringify({ devDependencies: { 'secure-coding-rules-adapter-missing': '^1.0.0' } }),
+    });
+    await findAdapterPlugins(dir);
+    const { loaded, warnings } = await loadAdapterPlugins();
+    assert.deepEqual(loaded, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Could not load adapter "missing" from secure-coding-rules-adapter-missing/);
+    assert.equal(adapters.missing, undefined);
+  });
+
+  it('refuses to replace built-in or already registered adapters', () => {
+    const plugin = { name: 'Fake', outputPath: 'FAKE.md', format: () => '' };
+    assert.throws(() => registerAdapter('claude', plugin, './fake.js'), /already used by a built-in adapter/);
+    registerAdapter('fake', plugin, './fake.js');
+    assert.throws(() => registerAdapter('fake', plugin, './other.js'), /already registered from \.\/fake\.js/);
+    assert.throws(() => registerAdapter('Fake Tool', plugin, './fake.js'), /tool key must be lowercase/);
+  });
+});
+
+describe('validateAdapter', () => {
+  const base = { name: 'Tool', outputPath: 'TOOL.md', format: () => '' };
+  const rejects = (adapter, pattern) =>
+    assert.throws(() => validateAdapter(adapter, 'Adapter "tool" (./tool.js)'), pattern);
+
+  it('accepts every built-in adapter', () => {
+    for (const [tool, adapter] of Object.entries(adapters)) {
+      assert.doesNotThrow(() => validateAdapter(adapter, tool));
+    }
+    assert.equal(validateAdapter(claude, 'claude').label, claude.label);
+  });
+
+  it('requires a name and an output with its format function', () => {
+    rejects({ ...base, name: '' }, /^AdapterError: Adapter "tool" \(\.\/tool\.js\): "name" must be a non-empty string/);
+    rejects({ name: 'Tool' }, /must export "outputDir" or "outputPath"/);
+    rejects({ name: 'Tool', outputDir: '.tool' }, /"outputDir" needs a formatMultiple\(\) function/);
+    rejects({ name: 'Tool', outputPath: 'TOOL.md' }, /"outputPath" needs a format\(\) function/);
+    rejects({ ...base, merge: 'yes' }, /"merge" must be a function/);
+  });
+
+  it('requires the functions that directory mode and tool configs rely on', () => {
+    rejects({ ...base, rulesDir: '.tool/rules' }, /"rulesDir" needs "outputPath", formatMultiple\(\) and formatReference\(\)/);
+    rejects({ ...base, configPath: '.tool.yml' }, /"configPath" needs registerFiles\(\) and unregisterFiles\(\)/);
+  });
+
+  it('keeps every path inside the project', () => {
+    rejects({ ...base, outputPath: '/etc/TOOL.md' }, /"outputPath" must be a relative path inside the project/);
+    rejects({ ...base, rulesDir: '../shared' }, /"rulesDir" must be a relative path/);
+    rejects({ ...base, detectPaths: ['ok', '../nope'] }, /"detectPaths" must be an array of relative paths/);
+    rejects({ ...base, conflictPaths: 'tool.json' }, /"conflictPaths" must be an array of relative paths/);
+  });
+
+  it('takes only true or false for nested and linter', () => {
+    rejects({ ...base, nested: 'yes' }, /"nested" must be true or false/);
+    rejects({ ...base, linter: 1 }, /"linter" must be true or false/);
+  });
+});
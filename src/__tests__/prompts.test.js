@@ -0,0 +1,123 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { detectProjectState, resolveConfig, categoriesForFramework } from '../prompts.js';
+
+describe('prompts', () => {
+  const dirs = [];
+  const projectWith = async (deps) => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-prompts-'));
+    dirs.push(dir);
+    await writeFile(join(dir, 'package.json'), JSON.stringify({ dependencies: deps }), 'utf-8');
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  describe('detectProjectState', () => {
+    it('detects each server framework separately', async () => {
+      const cases = [
+        [{ express: '^4' }, 'node'],
+        [{ fastify: '^4' }, 'fastify'],
+        [{ koa: '^2' }, 'koa'],
+        [{ '@nestjs/core': '^10', express: '^4' }, 'nestjs'],
+      ];
+      for (const [deps, expected] of cases) {
+        const state = detectProjectState(await projectWith(deps));
+        assert.equal(state.detectedFramework, expected);
+      }
+    });
+
+    it('detects frontend frameworks before server ones', async () => {
+      const state = detectProjectState(await projectWith({ nuxt: '^3', fastify: '^4' }));
+      assert.equal(state.detectedFramework, 'vue');
+    });
+
+    it('detects Cline, Roo Code and Continue rule directories', async () => {
+      const dir = await projectWith({});
+      await mkdir(join(dir, '.clinerules'));
+      await mkdir(join(dir, '.roo', 'rules'), { recursive: true });
+      await mkdir(join(dir, '.continue', 'rules'), { recursive: true });
+      const state = detectProjectState(dir);
+      assert.deepEqual(state.detectedTools, ['cline', 'roo', 'continue']);
+    });
+
+    it('detects Gemini CLI and Aider from their main or config files', async () => {
+      const dir = await projectWith({});
+      await mkdir(join(dir, '.gemini'));
+      await writeFile(join(dir, '.aider.conf.yml'), 'model: sonnet\n', 'utf-8');
+      const state = detectProjectState(dir);
+      assert.deepEqual(state.detectedTools, ['gemini', 'aider']);
+      assert.equal(state.existingRules.aider, join(dir, '.aider.conf.yml'));
+    });
+
+    it('falls back to vanilla', async () => {
+      const state = detectProjectState(await projectWith({ lodash: '^4' }));
+      assert.equal(state.detectedFramework, 'vanilla');
+    });
+  });
+
+  describe('resolveConfig', () => {
+    it('does not include frontend rules for server frameworks', () => {
+      for (const framework of ['node', 'fastify', 'koa', 'nestjs']) {
+        const config = resolveConfig({ framework }, { detectedTools: [] });
+        assert.equal(config.includeFrontend, false);
+      }
+      assert.equal(resolveConfig({ framework: 'vue' }, { detectedTools: [] }).includeFrontend, true);
+    });
+
+    it('defaults a Fastify project to its own module without other frameworks or frontend rules', async () => {
+      const config = resolveConfig({}, detectProjectState(await projectWith({ fastify: '^4' })));
+      assert.equal(config.framework, 'fastify');
+      assert.ok(config.categories.includes('fastify-security'));
+      assert.ok(config.categories.includes('injection'));
+      for (const category of ['express-security', 'koa-security', 'nestjs-security', 'react-security', 'nuxt-security', 'xss-prevention', 'csp']) {
+        assert.ok(!config.categories.includes(category), category);
+      }
+    });
+
+    it('adds the modules of workspace package frameworks with workspaces', () => {
+      const state = { detectedTools: [], workspaces: [{ path: 'apps/web', framework: 'react' }] };
+      const plain = resolveConfig({ framework: 'fastify' }, state);
+      assert.ok(!plain.categories.includes('react-security'));
+      const split = resolveConfig({ framework: 'fastify', workspaces: true }, state);
+      assert.ok(split.categories.includes('react-security'));
+      assert.ok(split.categories.includes('xss-prevention'));
+      assert.ok(split.categories.includes('fastify-security'));
+    });
+
+    it('never picks a detected linter by default', () => {
+      assert.deepEqual(resolveConfig({}, { detectedTools: ['eslint'] }).tools, ['claude']);
+      assert.deepEqual(resolveConfig({}, { detectedTools: ['cursor', 'eslint'] }).tools, ['cursor']);
+      assert.deepEqual(resolveConfig({ tools: ['eslint'] }, { detectedTools: [] }).tools, ['eslint']);
+    });
+
+    it('leaves TypeScript rules out of the defaults when no TypeScript was detected', () => {
+      const plain = resolveConfig({}, { detectedTools: [], stack: { typescript: false } });
+      assert.ok(!plain.categories.includes('typescript-security'));
+      const typed = resolveConfig({}, { detectedTools: [], stack: { typescript: true } });
+      assert.ok(typed.categories.includes('typescript-security'));
+      const picked = resolveConfig({ categories: ['typescript-security'] }, { detectedTools: [], stack: { typescript: false } });
+      assert.deepEqual(picked.categories, ['typescript-security']);
+    });
+  });
+
+  describe('categoriesForFramework', () => {
+    const selected = ['injection', 'xss-prevention', 'react-security', 'nextjs-security', 'express-security'];
+
+    it('keeps only the framework own modules', () => {
+      assert.deepEqual(categoriesForFramework(selected, 'react'), [
+        'injection', 'xss-prevention', 'react-security', 'nextjs-security',
+      ]);
+      assert.deepEqual(categoriesForFramework(selected, 'vanilla'), ['injection', 'xss-prevention']);
+    });
+
+    it('leaves out frontend modules for server frameworks', () => {
+      assert.deepEqual(categoriesForFramework(selected, 'node'), ['injection', 'express-security']);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { detectStack, detectFramework, stackLabel } from '../stack.js';
+
+describe('stack', () => {
+  const dirs = [];
+  const project = async (files) => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-stack-'));
+    dirs.push(dir);
+    for (const [file, content] of Object.entries(files)) {
+      const text = typeof content === 'string' ? content : JSON.stringify(content);
+      await writeFile(join(dir, file), text, 'utf-8');
+    }
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  describe('detectStack', () => {
+    it('reports TypeScript, runtime and libraries by kind', async () => {
+      const dir = await project({
+        'package.json': {
+          dependencies: { next: '^14', '@prisma/client': '^5', 'next-auth': '^4', zod: '^3' },
+          devDependencies: { prisma: '^5', vite: '^5', typescript: '^5' },
+        },
+        'tsconfig.json': '{}',
+      });
+
+      assert.deepEqual(detectStack(dir), {
+        framework: 'react',
+        typescript: true,
+        runtime: 'node',
+        orm: ['prisma'],
+        auth: ['next-auth'],
+        validation: ['zod'],
+        bundler: ['vite'],
+      });
+    });
+
+    it('needs a tsconfig.json for TypeScript', async () => {
+      const dir = await project({ 'package.json': { devDependencies: { typescript: '^5' } } });
+      assert.equal(detectStack(dir).typescript, false);
+    });
+
+    it('detects Deno, Bun and edge runtimes from their files and packages', async () => {
+      const deno = await project({ 'deno.json': '{}' });
+      assert.deepEqual(
+        [detectStack(deno).runtime, detectStack(deno).typescript, detectStack(deno).framework],
+        ['deno', true, null]
+      );
+
+      const bun = await project({ 'package.json': { name: 'api' }, 'bun.lockb': '' });
+      assert.equal(detectStack(bun).runtime, 'bun');
+
+      const edge = await project({ 'package.json': { devDependencies: { wrangler: '^3' } } });
+      assert.equal(detectStack(edge).runtime, 'edge');
+
+      const none = await project({});
+      assert.equal(detectStack(none).runtime, null);
+    });
+  });
+
+  describe('detectFramework', () => {
+    it('returns null without a readable package.json', async () => {
+      const dir = await project({ 'package.json': '{ broken' });
+      assert.equal(detectFramework(dir), null);
+      assert.equal(detectFramework(join(dir, 'missing')), null);
+    });
+  });
+
+  describe('stackLabel', () => {
+    it('names runtimes and libraries', () => {
+      assert.equal(stackLabel('node'), 'Node.js');
+      assert.equal(stackLabel('drizzle'), 'Drizzle ORM');
+      assert.equal(stackLabel('unknown'), 'unknown');
+    });
+  });
+});
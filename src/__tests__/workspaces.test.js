@@ -0,0 +1,88 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { detectWorkspaces } from '../workspaces.js';
+
+describe('workspaces', () => {
+  const dirs = [];
+  const project = async (files) => {
+    const dir = await mkdtemp(join(tmpdir(), 'scr-workspaces-'));
+    dirs.push(dir);
+    for (const [file, content] of Object.entries(files)) {
+      await mkdir(join(dir, dirname(file)), { recursive: true });
+      const text = typeof content === 'string' ? content : JSON.stringify(content);
+      await writeFile(join(dir, file), text, 'utf-8');
+    }
+    return dir;
+  };
+
+  after(async () => {
+    await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  });
+
+  describe('detectWorkspaces', () => {
+    it('reads package.json workspaces and detects each package framework', async () => {
+      const dir = await project({
+        'package.json': { private: true, workspaces: ['apps/*', 'packages/**', '!apps/legacy'] },
+        'apps/web/package.json': { name: 'web', dependencies: { next: '^14', react: '^18' } },
+        'apps/api/package.json': { name: 'api', dependencies: { express: '^4' } },
+        'apps/legacy/package.json': { name: 'legacy' },
+        'apps/docs/README.md': '# not a package',
+        'packages/ui/button/package.json': { name: '@acme/button' },
+      });
+
+      assert.deepEqual(detectWorkspaces(dir), [
+        { path: 'apps/api', name: 'api', framework: 'node' },
+        { path: 'apps/web', name: 'web', framework: 'react' },
+        { path: 'packages/ui/button', name: '@acme/button', framework: 'vanilla' },
+      ]);
+    });
+
+    it('reads Yarn workspaces.packages and pnpm-workspace.yaml', async () => {
+      const yarn = await project({
+        'package.json': { workspaces: { packages: ['services/*'] } },
+        'services/auth/package.json': { dependencies: { fastify: '^4' } },
+      });
+      assert.deepEqual(detectWorkspaces(yarn), [
+        { path: 'services/auth', name: 'services/auth', framework: 'fastify' },
+      ]);
+
+      const pnpm = await project({
+        'package.json': { name: 'root' },
+        'pnpm-workspace.yaml': "packages:\n  # apps\n  - 'apps/*'\n  - \"!apps/old\"\ncatalog:\n  - ignored/*\n",
+        'apps/admin/package.json': { name: 'admin', dependencies: { vue: '^3' } },
+        'apps/old/package.json': { name: 'old' },
+        'ignored/x/package.json': { name: 'x' },
+      });
+      assert.deepEqual(detectWorkspaces(pnpm), [{ path: 'apps/admin', name: 'admin', framework: 'vue' }]);
+    });
+
+    it('finds Nx projects from project.json and Turborepo defaults', async () => {
+      const nx = await project({
+        'nx.json': { workspaceLayout: { appsDir: 'projects' } },
+        'projects/gateway/project.json': {
+          name: 'gateway',
+          targets: { serve: { executor: '@nx/nest:serve' } },
+        },
+        'libs/shared/project.json': { name: 'shared' },
+      });
+      assert.deepEqual(detectWorkspaces(nx), [
+        { path: 'libs/shared', name: 'shared', framework: 'vanilla' },
+        { path: 'projects/gateway', name: 'gateway', framework: 'nestjs' },
+      ]);
+
+      const turbo = await project({
+        'turbo.json': {},
+        'apps/site/package.json': { name: 'site', dependencies: { koa: '^2' } },
+      });
+      assert.deepEqual(detectWorkspaces(turbo), [{ path: 'apps/site', name: 'site', framework: 'koa' }]);
+    });
+
+    it('returns no packages outside a monorepo', async () => {
+      const dir = await project({ 'package.json': { name: 'app' }, 'src/index.js': '' });
+      assert.deepEqual(detectWorkspaces(dir), []);
+    });
+  });
+});
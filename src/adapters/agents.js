@@ -4,16 +4,20 @@
  */
 
 import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody } from '../render.js';
 
 export const name = 'AGENTS.md (Vendor-neutral)';
 export const outputPath = 'AGENTS.md';
 export const description = 'Generates AGENTS.md (vendor-neutral AI assistant rules)';
+export const label = 'AGENTS.md (vendor-neutral)';
+export const detectPaths = ['AGENTS.md'];
+export const nested = true;
 
 const SECTION_START = '<!-- js-secure-coding:start -->';
 const SECTION_END = '<!-- js-secure-coding:end -->';
 
 export function format(templates, options = {}) {
-  const { framework = 'vanilla', version = '2.0.0' } = options;
+  const { framework = 'vanilla', version = '2.0.0', detail = 'full' } = options;
   const lines = [];
 
   lines.push(SECTION_START);
@@ -25,11 +29,11 @@ export function format(templates, options = {}) {
   lines.push(`Framework context: ${framework}`);
   lines.push('');
 
-  for (const [category, content] of templates) {
+  for (const [category, value] of templates) {
     const info = getCategoryInfo(category);
     lines.push(`## ${info.owasp}: ${info.title}`);
     lines.push('');
-    lines.push(content.replace(/^# .+\n+(?:>.*\n+)*/, ''));
+    lines.push(renderBody(toTemplate(value, category), detail));
     lines.push('');
   }
 
@@ -0,0 +1,164 @@
+/**
+ * Aider adapter - generates CONVENTIONS.md and lists it under `read:` in .aider.conf.yml
+ * Aider only loads files named in its config, so directory mode registers every rule file
+ */
+
+import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody, renderFull } from '../render.js';
+
+export const name = 'Aider';
+export const outputPath = 'CONVENTIONS.md';
+export const rulesDir = 'conventions';
+export const configPath = '.aider.conf.yml';
+export const description = 'Generates CONVENTIONS.md for Aider';
+export const label = 'Aider (CONVENTIONS.md)';
+export const detectPaths = ['CONVENTIONS.md', '.aider.conf.yml'];
+
+const SECTION_START = '<!-- js-secure-coding:start -->';
+const SECTION_END = '<!-- js-secure-coding:end -->';
+
+export function format(templates, options = {}) {
+  const { framework = 'vanilla', version = '2.0.0', detail = 'standard' } = options;
+  const lines = [];
+
+  lines.push(SECTION_START);
+  lines.push(`<!-- version: ${version} -->`);
+  lines.push('');
+  lines.push('# Security Conventions (OWASP 2025)');
+  lines.push('');
+  lines.push(`> Auto-generated by secure-coding-rules v${version} | Framework: ${framework}`);
+  lines.push('> Reference: https://owasp.org/Top10/2025/');
+  lines.push('');
+
+  for (const [category, value] of templates) {
+    const info = getCategoryInfo(category);
+    const template = toTemplate(value, category);
+    lines.push(`## ${info.owasp}: ${info.title}`);
+    lines.push('');
+    lines.push(renderBody(template, detail));
+    lines.push('');
+  }
+
+  lines.push(SECTION_END);
+
+  return lines.join('\n');
+}
+
+/**
+ * Merge security rules into existing CONVENTIONS.md content
+ */
+export function merge(existingContent, newSection) {
+  if (existingContent.includes(SECTION_START)) {
+    const before = existingContent.substring(
+      0,
+      existingContent.indexOf(SECTION_START)
+    );
+    const after = existingContent.substring(
+      existingContent.indexOf(SECTION_END) + SECTION_END.length
+    );
+    return before.trimEnd() + '\n\n' + newSection + '\n' + after.trimStart();
+  }
+  const trimmed = existingContent.trimEnd();
+  return (trimmed ? trimmed + '\n\n' : '') + newSection + '\n';
+}
+
+/**
+ * Format templates into individual files for directory mode
+ * Returns Map<filename, content>
+ */
+export function formatMultiple(templates, options = {}) {
+  const { detail = 'full' } = options;
+  const files = new Map();
+  for (const [category, value] of templates) {
+    files.set(`security-${category}.md`, renderFull(toTemplate(value, category), detail) + '\n');
+  }
+  return files;
+}
+
+/**
+ * Generate the CONVENTIONS.md section listing the rule files Aider reads
+ */
+export function formatReference(categories, options = {}) {
+  const { version = '2.0.0' } = options;
+  const lines = [
+    SECTION_START,
+    `<!-- version: ${version} -->`,
+    '',
+    '# Security Conventions (OWASP 2025)',
+    '',
+    `> Auto-generated by secure-coding-rules v${version}`,
+    `> Full rules are in ${rulesDir}/security-*.md, loaded through \`read:\` in ${configPath}`,
+    '',
+  ];
+  for (const cat of categories) {
+    const info = getCategoryInfo(cat);
+    lines.push(`- \`${rulesDir}/security-${cat}.md\` - ${info.owasp}: ${info.title}`);
+  }
+  lines.push('');
+  lines.push(SECTION_END);
+  return lines.join('\n');
+}
+
+/**
+ * Add paths to the `read:` list of .aider.conf.yml content, keeping everything else as is
+ */
+export function registerFiles(config, paths) {
+  return updateReadList(config, (entries) => [
+    ...entries,
+    ...paths.filter((path) => !entries.includes(path)),
+  ]);
+}
+
+/**
+ * Remove paths from the `read:` list, dropping the key once it is empty
+ */
+export function unregisterFiles(config, paths) {
+  return updateReadList(config, (entries) =>
+    entries.filter((entry) => !paths.includes(entry))
+  );
+}
+
+/**
+ * Rewrite the top-level `read:` key as a block list
+ * Understands the scalar (`read: a.md`), flow (`read: [a.md, b.md]`) and block list forms
+ */
+function updateReadList(config, update) {
+  const lines = config.replace(/\r\n/g, '\n').split('\n');
+  const start = lines.findIndex((line) => /^read\s*:/.test(line));
+
+  let entries = [];
+  let end = start + 1;
+  if (start !== -1) {
+    const inline = stripComment(lines[start].replace(/^read\s*:/, ''));
+    if (inline.startsWith('[')) {
+      entries = inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+    } else if (inline) {
+      entries = [unquote(inline)];
+    }
+    while (end < lines.length && /^\s*-\s/.test(lines[end])) {
+      entries.push(unquote(stripComment(lines[end].replace(/^\s*-\s/, ''))));
+      end++;
+    }
+  }
+
+  const next = update(entries);
+  if (next.join('\n') === entries.join('\n')) return config;
+
+  const block = next.length > 0 ? ['read:', ...next.map((entry) => `  - ${entry}`)] : [];
+  if (start === -1) {
+    const body = config.trimEnd();
+    return (body ? body + '\n' : '') + block.join('\n') + '\n';
+  }
+
+  lines.splice(start, end - start, ...block);
+  const result = lines.join('\n').trim();
+  return result ? result + '\n' : '';
+}
+
+function stripComment(value) {
+  return value.replace(/(^|\s)#.*$/, '').trim();
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
@@ -1,13 +1,20 @@
 /**
  * Claude Code adapter - generates CLAUDE.md format
+ * Directory mode relies on Claude Code loading .claude/rules/*.md on its own:
+ * files with `paths:` frontmatter load only while it works on matching files
  */
 
 import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody, renderFull } from '../render.js';
+import { categoryGlobs } from '../globs.js';
 
 export const name = 'Claude Code';
 export const outputPath = 'CLAUDE.md';
 export const rulesDir = '.claude/rules';
 export const description = 'Generates CLAUDE.md for Claude Code';
+export const label = 'Claude Code (CLAUDE.md)';
+export const detectPaths = ['CLAUDE.md'];
+export const nested = true;
 
 /**
  * Check if an existing CLAUDE.md has a security section
@@ -16,7 +23,7 @@ const SECTION_START = '<!-- js-secure-coding:start -->';
 const SECTION_END = '<!-- js-secure-coding:end -->';
 
 export function format(templates, options = {}) {
-  const { framework = 'vanilla', version = '2.0.0' } = options;
+  const { framework = 'vanilla', version = '2.0.0', detail = 'standard' } = options;
   const lines = [];
 
   lines.push(SECTION_START);
@@ -28,12 +35,13 @@ export function format(templates, options = {}) {
   lines.push('> Reference: https://owasp.org/Top10/2025/');
   lines.push('');
 
-  for (const [category, content] of templates) {
+  for (const [category, value] of templates) {
     const info = getCategoryInfo(category);
+    const template = toTemplate(value, category);
     lines.push(`## ${info.owasp}: ${info.title}`);
     lines.push('');
-    // Extract just the Rules and Quick Checklist sections for conciseness
-    lines.push(extractEssentials(content));
+    // Just the Rules and Quick Checklist sections by default, for conciseness
+    lines.push(renderBody(template, detail));
     lines.push('');
   }
 
@@ -63,19 +71,29 @@ export function merge(existingContent, newSection) {
 }
 
 /**
- * Format templates into individual files for directory mode
+ * Format templates into individual files for directory mode, scoping categories
+ * with globs (e.g. injection to API and DB code) through `paths:` frontmatter
  * Returns Map<filename, content>
  */
 export function formatMultiple(templates, options = {}) {
+  const { detail = 'full' } = options;
   const files = new Map();
-  for (const [category, content] of templates) {
-    files.set(`security-${category}.md`, content);
+  for (const [category, value] of templates) {
+    const globs = categoryGlobs(category, options);
+    const lines = [];
+    if (globs) {
+      lines.push('---', 'paths:', ...globs.map((glob) => `  - "${glob}"`), '---', '');
+    }
+    lines.push(renderFull(toTemplate(value, category), detail), '');
+    files.set(`security-${category}.md`, lines.join('\n'));
   }
   return files;
 }
 
 /**
- * Generate reference text for CLAUDE.md pointing to rules directory
+ * Generate the CLAUDE.md section describing the rules directory
+ * The rule files are not imported here: an @ import would load path-scoped rules
+ * for every file and defeat their `paths:` frontmatter
  */
 export function formatReference(categories, options = {}) {
   const { version = '2.0.0' } = options;
@@ -86,42 +104,18 @@ export function formatReference(categories, options = {}) {
     '# Security Rules (OWASP 2025)',
     '',
     `> Auto-generated by secure-coding-rules v${version}`,
-    '> Full rules are in .claude/rules/security-*.md',
+    `> Full rules are in ${rulesDir}/security-*.md`,
     '',
-    'Security rules are loaded from `.claude/rules/` directory:',
+    `Claude Code loads these rules from \`${rulesDir}/\` automatically. Rules with paths apply only while working on matching files:`,
     '',
   ];
   for (const cat of categories) {
     const info = getCategoryInfo(cat);
-    lines.push(`- \`security-${cat}.md\` - ${info.owasp}: ${info.title}`);
+    const globs = categoryGlobs(cat, options);
+    const scope = globs ? ` (${globs.map((glob) => `\`${glob}\``).join(', ')})` : '';
+    lines.push(`- \`security-${cat}.md\` - ${info.owasp}: ${info.title}${scope}`);
   }
   lines.push('');
   lines.push(SECTION_END);
   return lines.join('\n');
 }
-
-function extractEssentials(content) {
-  const lines = content.split('\n');
-  const result = [];
-  let inRules = false;
-  let inChecklist = false;
-
-  for (const line of lines) {
-    if (line.startsWith('## Rules') || line.startsWith('## Quick Checklist')) {
-      inRules = line.startsWith('## Rules');
-      inChecklist = line.startsWith('## Quick Checklist');
-      result.push(line);
-      continue;
-    }
-    if (line.startsWith('## ') && (inRules || inChecklist)) {
-      inRules = false;
-      inChecklist = false;
-      continue;
-    }
-    if (inRules || inChecklist) {
-      result.push(line);
-    }
-  }
-
-  return result.join('\n').trim();
-}
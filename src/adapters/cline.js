@@ -0,0 +1,49 @@
+/**
+ * Cline adapter - generates .clinerules/*.md format
+ */
+
+import { toTemplate, renderFull } from '../render.js';
+import { categoryGlobs } from '../globs.js';
+
+export const name = 'Cline';
+export const outputDir = '.clinerules';
+export const description = 'Generates .clinerules/*.md files';
+export const label = 'Cline (.clinerules/)';
+export const detectPaths = ['.clinerules'];
+
+/**
+ * Format templates into individual .md files for Cline
+ * Returns Map<filename, content>
+ */
+export function formatMultiple(templates, options = {}) {
+  const files = new Map();
+
+  for (const [category, value] of templates) {
+    const filename = `security-${category}.md`;
+    files.set(filename, formatClineRule(category, toTemplate(value, category), options));
+  }
+
+  return files;
+}
+
+/**
+ * Rules with `paths` frontmatter are only activated when Cline works on matching
+ * files; rules without frontmatter are always active
+ */
+function formatClineRule(category, template, options = {}) {
+  const { detail = 'full' } = options;
+  const globs = categoryGlobs(category, options);
+  const lines = [];
+
+  if (globs) {
+    lines.push('---');
+    lines.push('paths:');
+    lines.push(...globs.map((glob) => `  - "${glob}"`));
+    lines.push('---');
+    lines.push('');
+  }
+  lines.push(renderFull(template, detail));
+  lines.push('');
+
+  return lines.join('\n');
+}
@@ -0,0 +1,59 @@
+/**
+ * Continue adapter - generates .continue/rules/*.md format
+ */
+
+import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderFull } from '../render.js';
+import { categoryGlobs } from '../globs.js';
+
+export const name = 'Continue';
+export const outputDir = '.continue/rules';
+export const description = 'Generates .continue/rules/*.md files';
+export const label = 'Continue (.continue/rules/)';
+export const detectPaths = ['.continue'];
+
+/**
+ * Format templates into individual .md files for Continue
+ * Returns Map<filename, content>
+ */
+export function formatMultiple(templates, options = {}) {
+  const files = new Map();
+
+  for (const [category, value] of templates) {
+    const info = getCategoryInfo(category);
+    const filename = `security-${category}.md`;
+    files.set(filename, formatContinueRule(category, toTemplate(value, category), info, options));
+  }
+
+  return files;
+}
+
+/**
+ * Continue rule frontmatter: name, description, globs and alwaysApply
+ * Scoped categories apply to matching files; the rest are always applied
+ */
+function formatContinueRule(category, template, info, options = {}) {
+  const { detail = 'full' } = options;
+  const globs = categoryGlobs(category, options);
+  const lines = [];
+
+  lines.push('---');
+  lines.push(`name: "${info.owasp} ${info.title}"`);
+  lines.push(`description: "${info.owasp} ${info.title} - OWASP 2025 Security Rules"`);
+  if (globs) {
+    if (globs.length === 1) {
+      lines.push(`globs: "${globs[0]}"`);
+    } else {
+      lines.push('globs:', ...globs.map((glob) => `  - "${glob}"`));
+    }
+    lines.push('alwaysApply: false');
+  } else {
+    lines.push('alwaysApply: true');
+  }
+  lines.push('---');
+  lines.push('');
+  lines.push(renderFull(template, detail));
+  lines.push('');
+
+  return lines.join('\n');
+}
@@ -3,17 +3,21 @@
  */
 
 import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody } from '../render.js';
+import { categoryGlobs, expandGlob } from '../globs.js';
 
 export const name = 'GitHub Copilot';
 export const outputPath = '.github/copilot-instructions.md';
 export const rulesDir = '.github/instructions';
 export const description = 'Generates .github/copilot-instructions.md';
+export const label = 'GitHub Copilot (.github/copilot-instructions.md)';
+export const detectPaths = ['.github/copilot-instructions.md'];
 
 const SECTION_START = '<!-- js-secure-coding:start -->';
 const SECTION_END = '<!-- js-secure-coding:end -->';
 
 export function format(templates, options = {}) {
-  const { framework = 'vanilla', version = '2.0.0' } = options;
+  const { version = '2.0.0', detail = 'minimal' } = options;
   const lines = [];
 
   lines.push(SECTION_START);
@@ -26,12 +30,12 @@ export function format(templates, options = {}) {
   );
   lines.push('');
 
-  for (const [category, content] of templates) {
+  for (const [category, value] of templates) {
     const info = getCategoryInfo(category);
-    // Copilot instructions should be concise - extract rules only
+    // Copilot instructions should be concise - rules only, as flat bullets by default
     lines.push(`### ${info.owasp}: ${info.title}`);
     lines.push('');
-    lines.push(extractRulesOnly(content));
+    lines.push(renderBody(toTemplate(value, category), detail));
     lines.push('');
   }
 
@@ -56,21 +60,30 @@ export function merge(existingContent, newSection) {
 }
 
 /**
- * Format templates into individual files for directory mode
+ * Format templates into path-specific instruction files for directory mode
+ * Copilot only reads *.instructions.md files, applying each to the files matched
+ * by its applyTo globs; categories without globs apply to every file
  * Returns Map<filename, content>
  */
 export function formatMultiple(templates, options = {}) {
+  const { detail = 'full' } = options;
   const files = new Map();
-  for (const [category, content] of templates) {
+  for (const [category, value] of templates) {
     const info = getCategoryInfo(category);
+    const globs = categoryGlobs(category, options);
     const lines = [
+      '---',
+      `applyTo: "${globs ? globs.flatMap(expandGlob).join(',') : '**'}"`,
+      '---',
+      '',
       `# ${info.owasp}: ${info.title}`,
       '',
       `> OWASP 2025 Security Rule | Generated by secure-coding-rules`,
       '',
-      content.replace(/^# .+\n+(?:>.*\n+)*/, ''),
+      renderBody(toTemplate(value, category), detail),
+      '',
     ];
-    files.set(`security-${category}.md`, lines.join('\n'));
+    files.set(`security-${category}.instructions.md`, lines.join('\n'));
   }
   return files;
 }
@@ -86,41 +99,15 @@ export function formatReference(categories, options = {}) {
     '',
     '## Security Coding Guidelines (OWASP 2025)',
     '',
-    'Detailed security rules are in `.github/instructions/security-*.md`.',
+    `Detailed security rules are in \`${rulesDir}/security-*.instructions.md\`.`,
+    'Copilot applies each file to the source files matched by its `applyTo` globs.',
     '',
   ];
   for (const cat of categories) {
     const info = getCategoryInfo(cat);
-    lines.push(`- \`security-${cat}.md\` - ${info.owasp}: ${info.title}`);
+    lines.push(`- \`security-${cat}.instructions.md\` - ${info.owasp}: ${info.title}`);
   }
   lines.push('');
   lines.push(SECTION_END);
   return lines.join('\n');
 }
-
-function extractRulesOnly(content) {
-  const lines = content.split('\n');
-  const result = [];
-  let inRules = false;
-
-  for (const line of lines) {
-    if (line.startsWith('## Rules')) {
-      inRules = true;
-      continue;
-    }
-    if (line.startsWith('## ') && inRules) {
-      inRules = false;
-      continue;
-    }
-    if (inRules) {
-      // Convert ### to bullet points for Copilot's flatter format
-      if (line.startsWith('### ')) {
-        result.push(`- **${line.replace('### ', '').replace(/^\d+\.\s*/, '')}**`);
-      } else if (line.startsWith('- **DO') || line.startsWith('- **DON\'T') || line.startsWith('- **WHY')) {
-        result.push(`  ${line}`);
-      }
-    }
-  }
-
-  return result.join('\n').trim();
-}
@@ -3,10 +3,15 @@
  */
 
 import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderFull } from '../render.js';
+import { categoryGlobs, ruleScope } from '../globs.js';
 
 export const name = 'Cursor';
 export const outputDir = '.cursor/rules';
 export const description = 'Generates .cursor/rules/*.mdc files';
+export const label = 'Cursor (.cursor/rules/)';
+export const detectPaths = ['.cursor/rules'];
+export const nested = true;
 
 /**
  * Format templates into individual .mdc files
@@ -15,10 +20,10 @@ export const description = 'Generates .cursor/rules/*.mdc files';
 export function formatMultiple(templates, options = {}) {
   const files = new Map();
 
-  for (const [category, content] of templates) {
+  for (const [category, value] of templates) {
     const info = getCategoryInfo(category);
     const filename = `security-${category}.mdc`;
-    const mdc = formatMdc(category, content, info, options);
+    const mdc = formatMdc(category, toTemplate(value, category), info, options);
     files.set(filename, mdc);
   }
 
@@ -27,42 +32,26 @@ export function formatMultiple(templates, options = {}) {
 
 /**
  * Format a single template into .mdc format
- * MDC files have frontmatter with description and globs
+ * MDC frontmatter picks the Cursor rule type per category (see ruleScope):
+ * auto-attached to its globs, always applied, or agent-requested by description
  */
-function formatMdc(category, content, info, options = {}) {
-  const { framework = 'vanilla' } = options;
+function formatMdc(category, template, info, options = {}) {
+  const { detail = 'full' } = options;
 
-  const globs = getGlobsForCategory(category, framework);
+  const globs = categoryGlobs(category, options);
+  const scope = ruleScope(category, globs);
   const lines = [];
 
   lines.push('---');
   lines.push(`description: "${info.owasp} ${info.title} - OWASP 2025 Security Rules"`);
-  if (globs) {
-    lines.push(`globs: "${globs}"`);
+  if (scope === 'auto') {
+    lines.push(`globs: "${globs.join(',')}"`);
   }
+  lines.push(`alwaysApply: ${scope === 'always'}`);
   lines.push('---');
   lines.push('');
-  lines.push(content);
+  lines.push(renderFull(template, detail));
+  lines.push('');
 
   return lines.join('\n');
 }
-
-function getGlobsForCategory(category, framework) {
-  const isReact = ['react', 'next', 'nextjs'].includes(framework);
-  const codeExts = isReact ? '{jsx,tsx,js,ts}' : '{js,ts,jsx,tsx}';
-
-  const globMap = {
-    'authentication': `**/{auth,login,signup,session}*.${codeExts}`,
-    'access-control': `**/{middleware,guard,policy,permission,role}*.${codeExts}`,
-    'injection': `**/{api,route,handler,query,db}*.${codeExts}`,
-    'cryptographic': `**/{crypto,hash,encrypt,token,secret}*.${codeExts}`,
-    'xss-prevention': isReact ? '**/*.{jsx,tsx}' : '**/*.{jsx,tsx,vue,svelte}',
-    'csrf-protection': `**/{form,api,fetch,request}*.${codeExts}`,
-    'csp': '**/{middleware,header,config,server}*.{js,ts}',
-    'secure-state': `**/{store,context,state,reducer}*.${codeExts}`,
-    'supply-chain': '**/package.json',
-    'logging-alerting': '**/{log,logger,monitor,alert}*.{js,ts}',
-    'error-handling': `**/{error,handler,middleware,catch}*.${codeExts}`,
-  };
-  return globMap[category] || null;
-}
@@ -0,0 +1,225 @@
+/**
+ * ESLint adapter - turns the selected categories into lint rules in eslint.config.js (flat config)
+ * so the CI lint gate enforces what the AI instructions ask for
+ * The rules sit between line-comment markers inside the exported config array; only core rules
+ * are used, so the config loads without plugins
+ */
+
+import { getCategoryInfo } from '../loader.js';
+import { toTemplate } from '../render.js';
+import { OutputConflictError } from '../errors.js';
+
+export const name = 'ESLint';
+export const outputPath = 'eslint.config.js';
+export const description = 'Adds the enforceable rules to eslint.config.js';
+export const label = 'ESLint (eslint.config.js)';
+export const detectPaths = ['eslint.config.js'];
+export const linter = true;
+
+// Config files ESLint would stop reading once an eslint.config.js exists
+export const conflictPaths = [
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  'eslint.config.mts',
+  'eslint.config.cts',
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.json',
+  '.eslintrc.yaml',
+  '.eslintrc.yml',
+  '.eslintrc',
+];
+
+const SECTION_START = '// js-secure-coding:start';
+const SECTION_END = '// js-secure-coding:end';
+
+// `export default [`, also wrapped in a helper such as defineConfig([ or tseslint.config([
+const ARRAY_EXPORT_RE = /export\s+default\s+(?:[\w$.]+\(\s*)?\[/;
+
+/**
+ * Lint rules per category, each tied to the template rule it enforces (see ruleId in loader.js):
+ * core rules to turn on, child_process imports to restrict and no-restricted-syntax selectors
+ * The dangerouslySetInnerHTML selector does what react/no-danger does without eslint-plugin-react
+ */
+const LINT_RULES = {
+  injection: [
+    {
+      rule: 'A05-R1',
+      syntax: [
+        {
+          selector: "CallExpression[callee.property.name=/^(query|execute|raw)$/][arguments.0.type='TemplateLiteral'][arguments.0.expressions.length>0]",
+          message: 'Pass values as query parameters instead of interpolating them into SQL',
+        },
+        {
+          selector: "CallExpression[callee.property.name=/^(query|execute|raw)$/][arguments.0.type='BinaryExpression']",
+          message: 'Pass values as query parameters instead of concatenating them into SQL',
+        },
+        {
+          selector: 'CallExpression[callee.property.name=/^\\$(queryRawUnsafe|executeRawUnsafe)$/]',
+          message: 'Use the $queryRaw/$executeRaw tagged templates, which parameterize values',
+        },
+      ],
+    },
+    {
+      rule: 'A05-R4',
+      core: ['no-eval', 'no-new-func'],
+      imports: {
+        modules: ['child_process', 'node:child_process'],
+        importNames: ['exec', 'execSync'],
+        message: 'Use execFile with an argument array instead of exec',
+      },
+      syntax: [
+        {
+          selector: "CallExpression:matches([callee.name=/^exec(Sync)?$/], [callee.property.name=/^exec(Sync)?$/])[arguments.0.type='TemplateLiteral'][arguments.0.expressions.length>0]",
+          message: 'Use execFile with an argument array instead of interpolating a shell command',
+        },
+      ],
+    },
+    {
+      rule: 'A05-R7',
+      syntax: [
+        {
+          selector: ":matches(NewExpression, CallExpression)[callee.name='RegExp'][arguments.length>0]:not([arguments.0.type='Literal'], [arguments.0.type='TemplateLiteral'][arguments.0.expressions.length=0], [arguments.0.callee.name=/escape/i], [arguments.0.callee.property.name=/escape/i])",
+          message: 'Escape input before building a RegExp from it, or disable this line for a constant pattern',
+        },
+      ],
+    },
+  ],
+  cryptographic: [
+    {
+      rule: 'A04-R1',
+      syntax: [
+        {
+          selector: "CallExpression:matches([callee.name=/^create(Hash|Hmac)$/], [callee.property.name=/^create(Hash|Hmac)$/])[arguments.0.value=/^(md5|sha1)$/i]",
+          message: 'Use SHA-256 or stronger instead of MD5 or SHA-1',
+        },
+        {
+          selector: "CallExpression:matches([callee.name=/^create(Cipheriv|Decipheriv)$/], [callee.property.name=/^create(Cipheriv|Decipheriv)$/])[arguments.0.value=/^(des|rc4)/i]",
+          message: 'Use AES-256-GCM or ChaCha20-Poly1305 instead of DES or RC4',
+        },
+      ],
+    },
+  ],
+  'xss-prevention': [
+    {
+      rule: 'FE-01-R1',
+      syntax: [
+        {
+          selector: "AssignmentExpression[left.property.name=/^(innerHTML|outerHTML)$/]",
+          message: 'Use textContent or sanitize with DOMPurify instead of assigning HTML',
+        },
+        {
+          selector: "CallExpression[callee.property.name='insertAdjacentHTML'], CallExpression[callee.object.name='document'][callee.property.name=/^write(ln)?$/]",
+          message: 'Build DOM nodes instead of inserting HTML strings',
+        },
+        {
+          selector: "JSXAttribute[name.name='dangerouslySetInnerHTML']",
+          message: 'Render text through JSX, or sanitize with DOMPurify and disable this line with a reason',
+        },
+      ],
+    },
+    { rule: 'FE-01-R4', core: ['no-script-url'] },
+    { rule: 'FE-01-R5', core: ['no-eval', 'no-implied-eval', 'no-new-func'] },
+  ],
+};
+
+/**
+ * Generate the marked config object for the selected categories; suppressed rules are left out
+ */
+export function format(templates, options = {}) {
+  const { version = '2.0.0' } = options;
+
+  const core = new Map();
+  const imports = [];
+  const syntax = [];
+  for (const [category, value] of templates) {
+    const template = toTemplate(value, category);
+    const ids = new Set(template.rules.map((rule) => rule.id));
+    for (const entry of (LINT_RULES[category] || []).filter(({ rule }) => ids.has(rule))) {
+      for (const coreRule of entry.core || []) {
+        if (!core.has(coreRule)) core.set(coreRule, entry.rule);
+      }
+      if (entry.imports) {
+        const { modules, importNames, message } = entry.imports;
+        imports.push(...modules.map((module) => ({ name: module, importNames, message: `${entry.rule}: ${message}` })));
+      }
+      syntax.push(...(entry.syntax || []).map(({ selector, message }) => ({ selector, message: `${entry.rule}: ${message}` })));
+    }
+  }
+
+  const codes = [...templates.keys()].map((category) => getCategoryInfo(category).owasp);
+  const lines = [
+    `  ${SECTION_START}`,
+    `  // version: ${version}`,
+    `  // Security rules generated by secure-coding-rules v${version}${codes.length > 0 ? ` for ${codes.join(', ')}` : ''}`,
+    '  // Regenerate instead of editing; configs after this one override its rules',
+    '  {',
+    "    name: 'secure-coding-rules',",
+    '    rules: {',
+  ];
+  for (const [coreRule, id] of core) {
+    lines.push(`      '${coreRule}': 'error', // ${id}`);
+  }
+  if (imports.length > 0) {
+    lines.push("      'no-restricted-imports': ['error', {", '        paths: [');
+    for (const item of imports) {
+      lines.push(`          { name: ${quote(item.name)}, importNames: [${item.importNames.map(quote).join(', ')}], message: ${quote(item.message)} },`);
+    }
+    lines.push('        ],', '      }],');
+  }
+  if (syntax.length > 0) {
+    lines.push("      'no-restricted-syntax': [", "        'error',");
+    for (const item of syntax) {
+      lines.push(`        { selector: ${quote(item.selector)}, message: ${quote(item.message)} },`);
+    }
+    lines.push('      ],');
+  }
+  lines.push('    },', '  },', `  ${SECTION_END}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Merge the rules into eslint.config.js: replace the marked section, or put it first in the
+ * exported array; a new file gets an array holding just the section
+ * Throws OutputConflictError when there is no array to put it in or only one marker is left
+ */
+export function merge(existingContent, newSection) {
+  const start = existingContent.indexOf(SECTION_START);
+  const end = existingContent.indexOf(SECTION_END);
+  if (start !== -1 && end > start) {
+    const lineStart = existingContent.lastIndexOf('\n', start - 1) + 1;
+    return existingContent.substring(0, lineStart) + newSection + existingContent.substring(end + SECTION_END.length);
+  }
+  // A lone marker means the section was cut by hand: guessing where it ends could break the config
+  if (start !== -1 || end !== -1) {
+    throw new OutputConflictError(
+      `${outputPath} has only one of the "${SECTION_START}" and "${SECTION_END}" lines. Restore the missing one or remove both to place the security rules.`,
+      outputPath
+    );
+  }
+
+  if (existingContent.trim() === '') {
+    return `export default [\n${newSection}\n];\n`;
+  }
+
+  const match = existingContent.match(ARRAY_EXPORT_RE);
+  if (!match) {
+    throw new OutputConflictError(
+      `${outputPath} does not export a config array. Add "${SECTION_START}" and "${SECTION_END}" lines inside the array it exports to place the security rules.`,
+      outputPath
+    );
+  }
+  const at = match.index + match[0].length;
+  const rest = existingContent.substring(at);
+  // Whatever followed the bracket on its line must not end up behind the end marker comment
+  return existingContent.substring(0, at) + '\n' + newSection + (rest.startsWith('\n') ? '' : '\n') + rest;
+}
+
+/**
+ * JS string literal for text, in single quotes unless the text has some (selectors do)
+ */
+function quote(text) {
+  return text.includes("'") ? JSON.stringify(text) : `'${text.replace(/\\/g, '\\\\')}'`;
+}
@@ -0,0 +1,102 @@
+/**
+ * Gemini CLI adapter - generates GEMINI.md format
+ * Directory mode pulls the rule files in with GEMINI.md `@file` imports
+ */
+
+import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody, renderFull } from '../render.js';
+
+export const name = 'Gemini CLI';
+export const outputPath = 'GEMINI.md';
+export const rulesDir = '.gemini/rules';
+export const description = 'Generates GEMINI.md for Gemini CLI';
+export const label = 'Gemini CLI (GEMINI.md)';
+export const detectPaths = ['GEMINI.md', '.gemini'];
+export const nested = true;
+
+const SECTION_START = '<!-- js-secure-coding:start -->';
+const SECTION_END = '<!-- js-secure-coding:end -->';
+
+export function format(templates, options = {}) {
+  const { framework = 'vanilla', version = '2.0.0', detail = 'standard' } = options;
+  const lines = [];
+
+  lines.push(SECTION_START);
+  lines.push(`<!-- version: ${version} -->`);
+  lines.push('');
+  lines.push('# Security Rules (OWASP 2025)');
+  lines.push('');
+  lines.push(`> Auto-generated by secure-coding-rules v${version} | Framework: ${framework}`);
+  lines.push('> Reference: https://owasp.org/Top10/2025/');
+  lines.push('');
+
+  for (const [category, value] of templates) {
+    const info = getCategoryInfo(category);
+    const template = toTemplate(value, category);
+    lines.push(`## ${info.owasp}: ${info.title}`);
+    lines.push('');
+    lines.push(renderBody(template, detail));
+    lines.push('');
+  }
+
+  lines.push(SECTION_END);
+
+  return lines.join('\n');
+}
+
+/**
+ * Merge security rules into existing GEMINI.md content
+ */
+export function merge(existingContent, newSection) {
+  if (existingContent.includes(SECTION_START)) {
+    const before = existingContent.substring(
+      0,
+      existingContent.indexOf(SECTION_START)
+    );
+    const after = existingContent.substring(
+      existingContent.indexOf(SECTION_END) + SECTION_END.length
+    );
+    return before.trimEnd() + '\n\n' + newSection + '\n' + after.trimStart();
+  }
+  const trimmed = existingContent.trimEnd();
+  return (trimmed ? trimmed + '\n\n' : '') + newSection + '\n';
+}
+
+/**
+ * Format templates into individual files for directory mode
+ * Returns Map<filename, content>
+ */
+export function formatMultiple(templates, options = {}) {
+  const { detail = 'full' } = options;
+  const files = new Map();
+  for (const [category, value] of templates) {
+    files.set(`security-${category}.md`, renderFull(toTemplate(value, category), detail) + '\n');
+  }
+  return files;
+}
+
+/**
+ * Generate the GEMINI.md section importing each rule file
+ */
+export function formatReference(categories, options = {}) {
+  const { version = '2.0.0' } = options;
+  const lines = [
+    SECTION_START,
+    `<!-- version: ${version} -->`,
+    '',
+    '# Security Rules (OWASP 2025)',
+    '',
+    `> Auto-generated by secure-coding-rules v${version}`,
+    `> Full rules are in ${rulesDir}/security-*.md`,
+    '',
+  ];
+  for (const cat of categories) {
+    const info = getCategoryInfo(cat);
+    lines.push(`## ${info.owasp}: ${info.title}`);
+    lines.push('');
+    lines.push(`@./${rulesDir}/security-${cat}.md`);
+    lines.push('');
+  }
+  lines.push(SECTION_END);
+  return lines.join('\n');
+}
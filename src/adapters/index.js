@@ -0,0 +1,179 @@
+/**
+ * Adapter registry - everything the CLI needs to know about a tool comes from its module.
+ * This is also the contract plugin adapters are validated against (see validateAdapter):
+ *   name                       - display name (required)
+ *   label, description         - prompt label and summary (label defaults to name)
+ *   detectPaths                - paths whose presence means the project uses the tool
+ *                                (defaults to the output location)
+ *   outputDir + formatMultiple - rule directory the tool reads natively (one file per category)
+ *   outputPath + format        - single main file, marker-merged when the adapter has merge()
+ *   rulesDir + formatMultiple + formatReference
+ *                              - optional directory mode: rule files plus a reference in outputPath
+ *   configPath + registerFiles/unregisterFiles
+ *                              - tool config that has to list the generated files
+ *   checkLimits                - outputs the tool would truncate (size limits it enforces)
+ *   checkCondensed             - categories formatMultiple shortened to stay under those limits
+ *   nested                     - true when the tool also reads its files inside subdirectories,
+ *                                so monorepo packages can get their own rules (--workspaces)
+ *   linter                     - true for lint configs (ESLint): they turn rules into errors,
+ *                                so smart defaults never pick them even when detected
+ *   conflictPaths              - files the tool stops reading once outputPath exists;
+ *                                generation fails instead of creating outputPath next to one
+ *
+ * format(templates, options) and formatMultiple(templates, options) receive
+ * Map<category, Template> and { framework, version, detail, globs }; formatMultiple returns Map<filename, content>.
+ * detail is one of DETAIL_LEVELS (render.js) or undefined, meaning the adapter's own default;
+ * globs are the scanned project globs per category (use categoryGlobs in globs.js).
+ * formatReference(categories, options) returns the main-file section for directory mode.
+ * merge(existing, section) returns the existing content with the section inserted or replaced
+ * (existing is '' for a new file).
+ * checkLimits(outputs) takes [{ path, content }] and returns [{ path, chars, limit }],
+ * path null meaning all outputs together.
+ * checkCondensed(templates, options) takes what formatMultiple got and returns
+ * [{ category, examples, why }], telling whether code examples and WHY lines were left out.
+ */
+
+import { isAbsolute } from 'node:path';
+import * as claude from './claude.js';
+import * as cursor from './cursor.js';
+import * as windsurf from './windsurf.js';
+import * as copilot from './copilot.js';
+import * as agents from './agents.js';
+import * as cline from './cline.js';
+import * as roo from './roo.js';
+import * as continueRules from './continue.js';
+import * as gemini from './gemini.js';
+import * as aider from './aider.js';
+import * as eslint from './eslint.js';
+import { AdapterError } from '../errors.js';
+
+export const adapters = {
+  claude,
+  cursor,
+  windsurf,
+  copilot,
+  agents,
+  cline,
+  roo,
+  continue: continueRules,
+  gemini,
+  aider,
+  eslint,
+};
+
+/**
+ * Whether the tool can split its rules into a rules directory referenced from its main file
+ */
+export function supportsDirectoryMode(adapter) {
+  return Boolean(adapter.outputPath && adapter.rulesDir && adapter.formatReference);
+}
+
+/**
+ * How a tool's rules are laid out on disk:
+ * 'multiple' (rule files only), 'directory' (rule files + reference in main file)
+ * or 'single' (everything in one main file)
+ */
+export function outputLayout(adapter, outputMode) {
+  if (adapter.outputDir) return 'multiple';
+  if (outputMode === 'directory' && supportsDirectoryMode(adapter)) return 'directory';
+  return 'single';
+}
+
+const BUILT_IN = new Set(Object.keys(adapters));
+const ADAPTER_KEY_RE = /^[a-z][a-z0-9-]*$/;
+const ADAPTER_FUNCTIONS = [
+  'format', 'formatMultiple', 'formatReference', 'merge', 'registerFiles', 'unregisterFiles',
+  'checkLimits', 'checkCondensed',
+];
+const ADAPTER_PATHS = ['outputDir', 'outputPath', 'rulesDir', 'configPath'];
+
+// Where each plugin adapter came from: Map<key, source>
+const pluginSources = new Map();
+
+/**
+ * Check an adapter module against the contract above, throwing on the first violation
+ * Returns the adapter with label and detectPaths filled in
+ */
+export function validateAdapter(adapter, source) {
+  const fail = (message) => {
+    throw new AdapterError(`${source}: ${message}`);
+  };
+
+  if (adapter === null || typeof adapter !== 'object') fail('must export an adapter object');
+  if (!isText(adapter.name)) fail('"name" must be a non-empty string');
+  for (const key of ['label', 'description']) {
+    if (adapter[key] !== undefined && !isText(adapter[key])) fail(`"${key}" must be a non-empty string`);
+  }
+  for (const key of ADAPTER_FUNCTIONS) {
+    if (adapter[key] !== undefined && typeof adapter[key] !== 'function') fail(`"${key}" must be a function`);
+  }
+  for (const key of ADAPTER_PATHS) {
+    if (adapter[key] !== undefined && !isProjectPath(adapter[key])) {
+      fail(`"${key}" must be a relative path inside the project`);
+    }
+  }
+  for (const key of ['detectPaths', 'conflictPaths']) {
+    if (adapter[key] !== undefined && (!Array.isArray(adapter[key]) || !adapter[key].every(isProjectPath))) {
+      fail(`"${key}" must be an array of relative paths`);
+    }
+  }
+
+  if (adapter.outputDir) {
+    if (!adapter.formatMultiple) fail('"outputDir" needs a formatMultiple() function');
+  } else if (adapter.outputPath) {
+    if (!adapter.format) fail('"outputPath" needs a format() function');
+  } else {
+    fail('must export "outputDir" or "outputPath"');
+  }
+  if (adapter.rulesDir && !(adapter.outputPath && adapter.formatMultiple && adapter.formatReference)) {
+    fail('"rulesDir" needs "outputPath", formatMultiple() and formatReference()');
+  }
+  for (const key of ['nested', 'linter']) {
+    if (adapter[key] !== undefined && typeof adapter[key] !== 'boolean') fail(`"${key}" must be true or false`);
+  }
+  if (adapter.configPath && !(adapter.registerFiles && adapter.unregisterFiles)) {
+    fail('"configPath" needs registerFiles() and unregisterFiles() functions');
+  }
+
+  return {
+    ...adapter,
+    label: adapter.label || adapter.name,
+    detectPaths: adapter.detectPaths || [adapter.outputDir || adapter.outputPath],
+  };
+}
+
+/**
+ * Validate a plugin adapter and add it to the registry under the given tool key
+ */
+export function registerAdapter(key, adapter, source) {
+  if (!ADAPTER_KEY_RE.test(key)) {
+    throw new AdapterError(`Adapter "${key}" (${source}): tool key must be lowercase letters, digits and dashes`);
+  }
+  if (BUILT_IN.has(key)) {
+    throw new AdapterError(`Adapter "${key}" (${source}): "${key}" is already used by a built-in adapter`);
+  }
+  const existing = pluginSources.get(key);
+  if (existing && existing !== source) {
+    throw new AdapterError(`Adapter "${key}" (${source}): "${key}" is already registered from ${existing}`);
+  }
+
+  adapters[key] = validateAdapter(adapter, `Adapter "${key}" (${source})`);
+  pluginSources.set(key, source);
+  return adapters[key];
+}
+
+/**
+ * Remove the registered plugin adapters, leaving the built-in ones
+ */
+export function resetPluginAdapters() {
+  for (const key of pluginSources.keys()) delete adapters[key];
+  pluginSources.clear();
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isProjectPath(value) {
+  return isText(value) && !isAbsolute(value) && !value.split(/[\\/]/).includes('..');
+}
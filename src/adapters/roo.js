@@ -0,0 +1,45 @@
+/**
+ * Roo Code adapter - generates .roo/rules/*.md format
+ */
+
+import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody } from '../render.js';
+
+export const name = 'Roo Code';
+export const outputDir = '.roo/rules';
+export const description = 'Generates .roo/rules/*.md files';
+export const label = 'Roo Code (.roo/rules/)';
+export const detectPaths = ['.roo'];
+
+/**
+ * Format templates into individual .md files for Roo Code
+ * Roo Code loads every file in the directory into the system prompt and
+ * has no frontmatter, so each file starts directly with its heading
+ * Returns Map<filename, content>
+ */
+export function formatMultiple(templates, options = {}) {
+  const files = new Map();
+
+  for (const [category, value] of templates) {
+    const info = getCategoryInfo(category);
+    const filename = `security-${category}.md`;
+    files.set(filename, formatRooRule(toTemplate(value, category), info, options));
+  }
+
+  return files;
+}
+
+function formatRooRule(template, info, options = {}) {
+  const { framework = 'vanilla', detail = 'full' } = options;
+  const lines = [];
+
+  lines.push(`# ${info.owasp}: ${info.title}`);
+  lines.push('');
+  lines.push(`> OWASP 2025 Security Rule | Framework: ${framework}`);
+  lines.push('> Generated by js-secure-coding');
+  lines.push('');
+  lines.push(renderBody(template, detail));
+  lines.push('');
+
+  return lines.join('\n');
+}
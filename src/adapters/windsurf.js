@@ -1,57 +1,168 @@
 /**
  * Windsurf adapter - generates .windsurf/rules/*.md format
+ * Windsurf reads at most FILE_LIMIT characters per rule file and TOTAL_LIMIT across
+ * all rules, so oversized output is condensed or split here; checkCondensed reports what was
+ * condensed and checkLimits what is still over
  */
 
 import { getCategoryInfo } from '../loader.js';
+import { toTemplate, renderBody, stripExamples, stripWhy } from '../render.js';
+import { categoryGlobs, ruleScope, expandGlob } from '../globs.js';
 
 export const name = 'Windsurf';
 export const outputDir = '.windsurf/rules';
 export const description = 'Generates .windsurf/rules/*.md files';
+export const label = 'Windsurf (.windsurf/rules/)';
+export const detectPaths = ['.windsurf/rules'];
+
+export const FILE_LIMIT = 6000;
+export const TOTAL_LIMIT = 12000;
+
+const TRIGGERS = { auto: 'glob', always: 'always_on', agent: 'model_decision' };
+
+// Each stage condenses further: as rendered, without code examples, without WHY lines
+const STAGES = [
+  (template) => template,
+  stripExamples,
+  (template) => stripWhy(stripExamples(template)),
+];
 
 /**
  * Format templates into individual .md files for Windsurf
+ * A file over FILE_LIMIT is condensed, then split into parts; when all files together
+ * are over TOTAL_LIMIT every file is condensed
  * Returns Map<filename, content>
  */
 export function formatMultiple(templates, options = {}) {
+  return condense(templates, options).files;
+}
+
+/**
+ * Categories formatMultiple condensed to fit the limits: [{ category, examples, why }]
+ * where examples and why tell whether code examples and WHY lines were left out
+ */
+export function checkCondensed(templates, options = {}) {
+  return condense(templates, options).condensed;
+}
+
+/**
+ * Outputs Windsurf would truncate: [{ path, chars, limit }], path null for the total
+ */
+export function checkLimits(outputs) {
+  const over = outputs
+    .filter((output) => output.content.length > FILE_LIMIT)
+    .map((output) => ({ path: output.path, chars: output.content.length, limit: FILE_LIMIT }));
+  const total = outputs.reduce((sum, output) => sum + output.content.length, 0);
+  if (total > TOTAL_LIMIT) over.push({ path: null, chars: total, limit: TOTAL_LIMIT });
+  return over;
+}
+
+function condense(templates, options) {
+  const rules = [...templates].map(([category, value]) => [category, toTemplate(value, category)]);
+
+  let result;
+  for (let stage = 0; stage < STAGES.length; stage++) {
+    result = formatFiles(rules, stage, options);
+    const total = [...result.files.values()].reduce((sum, content) => sum + content.length, 0);
+    if (total <= TOTAL_LIMIT) break;
+  }
+  return result;
+}
+
+/**
+ * Files for every category at minStage or the first later stage that fits FILE_LIMIT,
+ * with the categories that lost something on the way
+ */
+function formatFiles(rules, minStage, options) {
   const files = new Map();
+  const condensedCategories = [];
 
-  for (const [category, content] of templates) {
+  for (const [category, template] of rules) {
     const info = getCategoryInfo(category);
-    const filename = `security-${category}.md`;
-    const formatted = formatWindsurfRule(category, content, info, options);
-    files.set(filename, formatted);
+    let content;
+    let condensed;
+    let stage = minStage;
+    for (; stage < STAGES.length; stage++) {
+      condensed = STAGES[stage](template);
+      content = formatWindsurfRule(category, condensed, info, options);
+      if (content.length <= FILE_LIMIT) break;
+    }
+
+    // Only report a stage that removed something this detail level renders
+    const rendered = (at) => formatWindsurfRule(category, STAGES[at](template), info, options);
+    const examples = stage >= 1 && rendered(1) !== rendered(0);
+    const why = stage >= 2 && rendered(2) !== rendered(1);
+    if (examples || why) condensedCategories.push({ category, examples, why });
+
+    if (content.length <= FILE_LIMIT) {
+      files.set(`security-${category}.md`, content);
+      continue;
+    }
+
+    const parts = splitRules(category, condensed, info, options);
+    parts.forEach((part, index) => {
+      const filename = index === 0 ? `security-${category}.md` : `security-${category}.part${index + 1}.md`;
+      files.set(filename, part);
+    });
+  }
+
+  return { files, condensed: condensedCategories };
+}
+
+/**
+ * Spread a template's rules over as many files as it takes to stay under FILE_LIMIT
+ * Extra sections, the checklist and exceptions go with the last part
+ */
+function splitRules(category, template, info, options) {
+  const chunks = [];
+  let chunk = [];
+  const fits = (rules) =>
+    formatWindsurfRule(category, { ...template, rules, sections: [], checklist: [], exceptions: [] }, info, options)
+      .length <= FILE_LIMIT;
+
+  for (const rule of template.rules) {
+    if (chunk.length > 0 && !fits([...chunk, rule])) {
+      chunks.push(chunk);
+      chunk = [];
+    }
+    chunk.push(rule);
   }
+  chunks.push(chunk);
 
-  return files;
+  return chunks.map((rules, index) => {
+    const last = index === chunks.length - 1;
+    const part = last
+      ? { ...template, rules }
+      : { ...template, rules, sections: [], checklist: [], exceptions: [] };
+    return formatWindsurfRule(category, part, info, options, `${index + 1}/${chunks.length}`);
+  });
 }
 
-function formatWindsurfRule(category, content, info, options = {}) {
-  const { framework = 'vanilla' } = options;
+/**
+ * Windsurf rule frontmatter: trigger (see ruleScope), globs for glob rules and a
+ * description the model uses to decide on model_decision rules
+ */
+function formatWindsurfRule(category, template, info, options = {}, part = null) {
+  const { framework = 'vanilla', detail = 'full' } = options;
+  const globs = categoryGlobs(category, options);
+  const scope = ruleScope(category, globs);
   const lines = [];
 
-  lines.push(`# ${info.owasp}: ${info.title}`);
+  lines.push('---');
+  lines.push(`trigger: ${TRIGGERS[scope]}`);
+  if (scope === 'auto') {
+    lines.push(`globs: ${globs.flatMap(expandGlob).join(',')}`);
+  }
+  lines.push(`description: ${info.owasp} ${info.title} - OWASP 2025 Security Rules`);
+  lines.push('---');
+  lines.push('');
+  lines.push(`# ${info.owasp}: ${info.title}${part ? ` (${part})` : ''}`);
   lines.push('');
   lines.push(`> OWASP 2025 Security Rule | Framework: ${framework}`);
   lines.push('> Generated by js-secure-coding');
   lines.push('');
-  lines.push(stripTitle(content));
-
-  return lines.join('\n');
-}
+  lines.push(renderBody(template, detail));
+  lines.push('');
 
-function stripTitle(content) {
-  const lines = content.split('\n');
-  // Remove the first H1 title if present (we add our own)
-  if (lines[0]?.startsWith('# ')) {
-    lines.shift();
-    // Remove blank line after title
-    if (lines[0]?.trim() === '') lines.shift();
-    // Remove blockquote lines after title (e.g., > description)
-    while (lines[0]?.startsWith('>')) {
-      lines.shift();
-    }
-    // Remove blank line after blockquote
-    if (lines[0]?.trim() === '') lines.shift();
-  }
   return lines.join('\n');
 }
@@ -0,0 +1,398 @@
+/**
+ * Node API - plan what generation would write, then apply the plan
+ *
+ *   import { generate, apply } from 'secure-coding-rules';
+ *   const plan = await generate({ cwd, tools: ['cursor'], framework: 'react' });
+ *   await apply(plan);
+ *
+ * Nothing here prompts, prints or exits; failures are thrown as the errors in errors.js
+ */
+
+import { mkdir, readFile, writeFile, unlink } from 'node:fs/promises';
+import { readFileSync, existsSync, statSync } from 'node:fs';
+import { join, dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { detectProjectState, resolveConfig, categoriesForFramework } from './prompts.js';
+import { loadTemplates, loadCustomTemplates, resetCustomTemplates, applySuppressions, resolveTemplates } from './loader.js';
+import { loadConfig, validateConfig } from './config.js';
+import { findAdapterPlugins, loadAdapterPlugins } from './plugins.js';
+import { removeSection } from './drift.js';
+import { renderWithinBudget, budgetFor } from './budget.js';
+import { detailFor } from './render.js';
+import { scanProjectGlobs } from './globs.js';
+import { detectWorkspaces } from './workspaces.js';
+import { detectStack } from './stack.js';
+import { MANIFEST_FILE, readManifest, formatManifest, hashContent, ownedState, toolSelection } from './manifest.js';
+import { adapters, outputLayout, resetPluginAdapters } from './adapters/index.js';
+import { TemplateError, OutputConflictError } from './errors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export function getVersion() {
+  try {
+    const pkg = JSON.parse(
+      readFileSync(join(__dirname, '..', 'package.json'), 'utf-8')
+    );
+    return pkg.version;
+  } catch {
+    return '2.1.0';
+  }
+}
+
+/**
+ * Plan generation for the project in cwd without writing anything
+ * Options take the same keys as the project config ({ tools, categories, framework,
+ * outputMode, ... }) and override it; omitted values fall back to the config, then to
+ * detection and all categories. `force` plans over files edited since generation.
+ * Returns { cwd, version, entries: [{ path, action, content, tool, role, reason? }], budgets, packages, warnings } where
+ *   action: 'create' | 'update' | 'delete' | 'unchanged' | 'skip' (reason: 'modified' | 'not-owned')
+ *   role:   'rule' | 'main' | 'package' | 'stale' | 'config' | 'manifest'
+ *   content is the complete new file content, or null for delete and skip
+ *   budgets: { [tool]: { tokens, maxTokens, trimmed, overLimit, condensed } } (see renderWithinBudget)
+ *   packages: [{ tool, path, framework, categories, budget }] for workspace packages (see renderTools)
+ *   warnings: what was skipped instead of failing: an unparsable package.json (see loadConfig),
+ *     installed plugin packages that did not load (see loadAdapterPlugins) and categories
+ *     whose template could not be read
+ * Custom templates and plugin adapters are registered module-wide for the call's project,
+ * so concurrent calls are queued and run one at a time instead of sharing registrations
+ */
+export function generate(options = {}) {
+  const run = queue.then(() => generateNow(options));
+  queue = run.catch(() => {});
+  return run;
+}
+
+// The last queued generate() call, settled or not
+let queue = Promise.resolve();
+
+async function generateNow(options) {
+  const { cwd = process.cwd(), force = false, ...selection } = options;
+  const root = resolve(cwd);
+
+  // Custom templates and plugin adapters belong to one project: start each call from the built-ins
+  resetCustomTemplates();
+  resetPluginAdapters();
+  const configWarnings = [];
+  const fileConfig = await loadConfig(root, configWarnings);
+  if (selection.adapters && typeof selection.adapters === 'object') {
+    await findAdapterPlugins(root, { ...fileConfig?.adapters, ...selection.adapters });
+  }
+  if (typeof selection.templatesDir === 'string') {
+    await loadCustomTemplates(resolve(root, selection.templatesDir));
+  }
+
+  const preset = { ...fileConfig, ...validateConfig(selection, 'generate() options') };
+  // Only the selected tools' plugins are imported; without a selection detection needs them all
+  const { warnings: pluginWarnings } = await loadAdapterPlugins(preset.tools ?? null);
+  const warnings = [...configWarnings, ...pluginWarnings];
+  const config = resolveConfig(preset, detectProjectState(root));
+  const templates = applySuppressions(
+    await loadTemplates(config.categories, config.rulesLang),
+    config.suppress
+  );
+  if (templates.size === 0) {
+    throw new TemplateError('No templates found for the selected categories');
+  }
+  for (const category of config.categories.filter((c) => !templates.has(c))) {
+    warnings.push(`Template not found: ${category}`);
+  }
+
+  const plan = await planGeneration(root, config, templates, { force });
+  return { ...plan, warnings };
+}
+
+/**
+ * Write a plan: create and update entries are written, delete entries removed,
+ * skip and unchanged entries left alone
+ * Returns the entries that touched the disk
+ */
+export async function apply(plan) {
+  const applied = [];
+
+  for (const entry of plan.entries) {
+    const filePath = join(plan.cwd, entry.path);
+    if (entry.action === 'create' || entry.action === 'update') {
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(filePath, entry.content, 'utf-8');
+    } else if (entry.action === 'delete') {
+      if (existsSync(filePath)) await unlink(filePath);
+    } else {
+      continue;
+    }
+    applied.push(entry);
+  }
+
+  return applied;
+}
+
+/**
+ * Plan every selected tool's outputs, stale files, tool configs and the manifest
+ * config is a resolved config ({ tools, outputMode, framework, categories, rulesLang, maxTokens, detail, workspaces, stack })
+ * The manifest records what each planned tool was generated from (see toolSelection)
+ */
+export async function planGeneration(cwd, config, templates, { force = false, version = getVersion() } = {}) {
+  const manifest = await readManifest(cwd);
+  const state = {
+    manifest,
+    owned: { version, tools: { ...manifest?.tools }, files: { ...manifest?.files } },
+    force,
+    version,
+  };
+  const rendered = renderTools(cwd, config, templates, version);
+  const entries = [];
+  const budgets = {};
+  const packages = [];
+
+  for (const toolName of config.tools) {
+    const own = rendered.filter((result) => result.toolName === toolName);
+    if (own.length === 0) continue;
+
+    const [{ adapter, layout, budget }] = own;
+    budgets[toolName] = budget;
+    for (const { pkg, categories, budget: pkgBudget } of own.slice(1)) {
+      packages.push({ tool: toolName, path: pkg.path, framework: pkg.framework, categories, budget: pkgBudget });
+    }
+    const outputs = own.flatMap((result) => result.outputs);
+    entries.push(...(await planTool(adapter, toolName, layout, outputs, cwd, state)));
+    state.owned.tools[toolName] = toolSelection(config, toolName);
+  }
+
+  const manifestEntry = await planFile(cwd, MANIFEST_FILE, formatManifest(state.owned));
+  if (manifestEntry) entries.push({ ...manifestEntry, tool: null, role: 'manifest' });
+
+  return { cwd, version, entries, budgets, packages };
+}
+
+/**
+ * Render every selected tool's outputs in memory (see renderWithinBudget)
+ * With config.workspaces, tools that read nested files (adapter.nested) split the rules:
+ * the root keeps the categories every package shares, and each workspace package gets
+ * inline rules for the rest of the categories that fit its framework (see categoriesForFramework).
+ * These tools load the root and the nested files together, so no rule is written twice.
+ * Conditional template blocks are resolved for each package's own stack; root rules, which every
+ * package loads, are resolved for the root and package stacks together (see mergeContexts).
+ * Returns [{ toolName, adapter, layout, pkg, categories, outputs, budget }], each tool's root first
+ * with pkg null, then its packages with pkg { path, name, framework }
+ */
+export function renderTools(cwd, config, templates, version = getVersion()) {
+  const detected = config.workspaces ? detectWorkspaces(cwd) : [];
+  const fitting = detected.map((pkg) => categoriesForFramework(config.categories, pkg.framework));
+  const shared = fitting.reduce(
+    (common, categories) => common.filter((category) => categories.includes(category)),
+    categoriesForFramework(config.categories, config.framework)
+  );
+
+  // Templates and globs for one directory, resolved once and shared by every tool
+  const prepare = (dir, categories, context) => ({
+    categories,
+    templates: resolveTemplates(pickTemplates(templates, categories), context),
+    globs: scanProjectGlobs(dir, categories),
+  });
+  const contexts = detected.map((pkg) => ({ ...detectStack(join(cwd, pkg.path)), framework: pkg.framework }));
+  // Root rules apply to every package too, so their blocks match any stack in the repository
+  const rootContext = mergeContexts([{ ...config.stack, framework: config.framework }, ...contexts]);
+  const root = prepare(cwd, config.categories, rootContext);
+  const splitRoot = detected.length > 0 ? prepare(cwd, shared, rootContext) : null;
+  const packages = detected
+    .map((pkg, i) => ({
+      pkg,
+      context: contexts[i],
+      categories: fitting[i].filter((category) => !shared.includes(category)),
+    }))
+    .filter(({ categories }) => categories.length > 0)
+    .map(({ pkg, context, categories }) => ({ pkg, ...prepare(join(cwd, pkg.path), categories, context) }));
+  const results = [];
+
+  for (const toolName of config.tools) {
+    const adapter = adapters[toolName];
+    if (!adapter) continue;
+
+    const nested = adapter.nested && splitRoot !== null;
+    const detail = detailFor(config.detail, toolName);
+    const maxTokens = budgetFor(config.maxTokens, toolName);
+
+    const { categories, templates: rootTemplates, globs } = nested ? splitRoot : root;
+    const layout = outputLayout(adapter, config.outputMode);
+    const options = { framework: config.framework, version, detail, globs };
+    const { outputs, ...budget } = renderWithinBudget(adapter, layout, rootTemplates, options, maxTokens);
+    results.push({ toolName, adapter, layout, pkg: null, categories, outputs, budget });
+    if (!nested) continue;
+
+    for (const { pkg, categories: pkgCategories, templates: pkgTemplates, globs: pkgGlobs } of packages) {
+      const pkgLayout = outputLayout(adapter, 'inline');
+      const pkgOptions = { framework: pkg.framework, version, detail, globs: pkgGlobs };
+      const { outputs: pkgOutputs, ...pkgBudget } = renderWithinBudget(
+        adapter, pkgLayout, pkgTemplates, pkgOptions, maxTokens
+      );
+      const prefixed = pkgOutputs.map((output) => ({
+        ...output,
+        path: `${pkg.path}/${output.path}`,
+        package: pkg.path,
+      }));
+      results.push({
+        toolName, adapter, layout: pkgLayout, pkg, categories: pkgCategories, outputs: prefixed, budget: pkgBudget,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Plan the removal of a tool-owned path recorded in the manifest
+ * Returns a delete entry, an update entry when a section is cut from a shared file,
+ * a skip entry when the content changed since generation and force is off,
+ * or null when the path is already gone
+ */
+export async function planRemoval(cwd, path, entry, force = false) {
+  const status = await ownedState(cwd, path, entry);
+  if (status === 'missing') return null;
+  if (status === 'modified' && !force) {
+    return { path, action: 'skip', content: null, reason: 'modified' };
+  }
+
+  if (entry.section) {
+    const rest = removeSection(await readFile(join(cwd, path), 'utf-8'));
+    if (rest) return { path, action: 'update', content: rest + '\n' };
+  }
+  return { path, action: 'delete', content: null };
+}
+
+/**
+ * Plan the update of a tool's own config listing the generated files
+ * (e.g. Aider only loads the files listed under `read:` in .aider.conf.yml)
+ * Returns null when the adapter has no config or nothing changes
+ */
+export async function planToolConfig(adapter, cwd, registered, dropped) {
+  if (!adapter.configPath) return null;
+  const filePath = join(cwd, adapter.configPath);
+  const current = existsSync(filePath) ? await readFile(filePath, 'utf-8') : '';
+  const next = adapter.unregisterFiles(adapter.registerFiles(current, registered), dropped);
+  if (next === current) return null;
+  return planFile(cwd, adapter.configPath, next || null);
+}
+
+/**
+ * Plan one tool: its outputs, then files it wrote last time but no longer generates
+ * (e.g. a deselected category or a switch back to inline mode), then its config
+ */
+async function planTool(adapter, toolName, layout, outputs, cwd, state) {
+  const dir = { multiple: adapter.outputDir, directory: adapter.rulesDir }[layout];
+
+  // Cline and Roo Code also accept a single legacy rules file at the directory path
+  if (dir && existsSync(join(cwd, dir)) && !statSync(join(cwd, dir)).isDirectory()) {
+    throw new OutputConflictError(
+      `${dir} is a file. Move its content into ${dir}/ (e.g. ${dir}/project.md) to add ${adapter.name} rule files.`,
+      dir
+    );
+  }
+
+  // A new main file would take over from a config the tool reads now (e.g. eslint.config.mjs)
+  const replaced =
+    adapter.outputPath && !existsSync(join(cwd, adapter.outputPath))
+      ? (adapter.conflictPaths || []).find((path) => existsSync(join(cwd, path)))
+      : null;
+  if (replaced) {
+    throw new OutputConflictError(
+      `${replaced} is ${adapter.name}'s config and a new ${adapter.outputPath} would take its place. Convert it to ${adapter.outputPath} first to add the rules.`,
+      replaced
+    );
+  }
+
+  const entries = [];
+  for (const output of outputs) {
+    let role = layout !== 'multiple' && output.path === adapter.outputPath ? 'main' : 'rule';
+    if (output.package) role = 'package';
+    entries.push({ ...(await planOutput(adapter, toolName, output, cwd, state)), tool: toolName, role });
+  }
+
+  const dropped = [];
+  const current = new Set(outputs.map((output) => output.path));
+  for (const [path, entry] of Object.entries(state.manifest?.files || {})) {
+    if (entry.tool !== toolName || current.has(path)) continue;
+
+    const planned = await planRemoval(cwd, path, entry, state.force);
+    if (planned?.action !== 'skip') delete state.owned.files[path];
+    if (planned?.action !== 'update') dropped.push(path);
+    if (planned) entries.push({ ...planned, tool: toolName, role: 'stale' });
+  }
+
+  const config = await planToolConfig(adapter, cwd, [...current], dropped);
+  if (config) entries.push({ ...config, tool: toolName, role: 'config' });
+
+  return entries;
+}
+
+/**
+ * Plan a single output and record it in the manifest, skipping files we do not own
+ * or that were edited since generation (unless force)
+ */
+async function planOutput(adapter, toolName, output, cwd, state) {
+  const filePath = join(cwd, output.path);
+  const existing = existsSync(filePath) ? await readFile(filePath, 'utf-8') : null;
+  const entry = state.manifest?.files[output.path];
+
+  if (existing !== null && !state.force) {
+    if (entry && (await ownedState(cwd, output.path, entry)) === 'modified') {
+      return { path: output.path, action: 'skip', content: null, reason: 'modified' };
+    }
+    // Section outputs only replace their own markers, so they are always safe to merge
+    if (!entry && state.manifest && !output.section) {
+      return { path: output.path, action: 'skip', content: null, reason: 'not-owned' };
+    }
+  }
+
+  const content = output.section ? adapter.merge(existing ?? '', output.content) : output.content;
+
+  state.owned.files[output.path] = {
+    tool: toolName,
+    section: output.section,
+    hash: hashContent(output.content),
+    version: state.version,
+  };
+
+  return fileEntry(output.path, existing, content);
+}
+
+/**
+ * Plan replacing a file's content (null content means the file should not exist)
+ */
+async function planFile(cwd, path, content) {
+  const filePath = join(cwd, path);
+  const existing = existsSync(filePath) ? await readFile(filePath, 'utf-8') : null;
+  if (content === null) {
+    return existing === null ? null : { path, action: 'delete', content: null };
+  }
+  return fileEntry(path, existing, content);
+}
+
+/**
+ * One conditional context that matches each of the given stacks: every key lists
+ * the values of all of them (see resolveConditionals)
+ */
+function mergeContexts(contexts) {
+  if (contexts.length === 1) return contexts[0];
+
+  const merged = {};
+  for (const context of contexts) {
+    for (const [key, value] of Object.entries(context)) {
+      const values = (Array.isArray(value) ? value : [value]).filter((v) => v !== undefined && v !== null);
+      merged[key] = [...new Set([...(merged[key] || []), ...values])];
+    }
+  }
+  return merged;
+}
+
+/**
+ * The templates of the given categories, in the order of the loaded templates
+ */
+function pickTemplates(templates, categories) {
+  return new Map([...templates].filter(([category]) => categories.includes(category)));
+}
+
+function fileEntry(path, existing, content) {
+  let action = 'update';
+  if (existing === null) action = 'create';
+  else if (existing === content) action = 'unchanged';
+  return { path, action, content };
+}
@@ -0,0 +1,101 @@
+/**
+ * CLI argument parser - zero dependencies
+ * Supports boolean flags, `--flag value`, `--flag=value` and the `scan [paths...]` command
+ */
+
+import { UsageError } from './errors.js';
+
+const BOOLEAN_FLAGS = {
+  '--yes': 'yes',
+  '-y': 'yes',
+  '--check': 'check',
+  '--ci': 'ci',
+  '--dry-run': 'dryRun',
+  '--remove': 'remove',
+  '--force': 'force',
+  '--workspaces': 'workspaces',
+  '--help': 'help',
+  '-h': 'help',
+  '--version': 'version',
+  '-v': 'version',
+};
+
+const VALUE_FLAGS = {
+  '--lang': 'lang',
+  '--tools': 'tools',
+  '--categories': 'categories',
+  '--framework': 'framework',
+  '--output-mode': 'outputMode',
+  '--exclude': 'exclude',
+  '--templates': 'templatesDir',
+  '--rules-lang': 'rulesLang',
+  '--max-tokens': 'maxTokens',
+  '--detail': 'detail',
+  '--format': 'format',
+};
+
+const COMMANDS = ['scan'];
+
+// Value flags that take a comma-separated list
+const LIST_FLAGS = ['tools', 'categories', 'exclude'];
+
+/**
+ * Parse argv (without node and script path) into a flags object
+ * A leading command sets flags.command and its other arguments flags.paths
+ * Throws on unknown commands or options and on missing values
+ */
+export function parseArgs(argv) {
+  const flags = {};
+  for (const key of Object.values(BOOLEAN_FLAGS)) flags[key] = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.indexOf('=');
+    const name = arg.startsWith('--') && eq !== -1 ? arg.slice(0, eq) : arg;
+
+    if (BOOLEAN_FLAGS[name] && name === arg) {
+      flags[BOOLEAN_FLAGS[name]] = true;
+      continue;
+    }
+
+    if (!arg.startsWith('-')) {
+      if (flags.command) {
+        flags.paths = [...(flags.paths || []), arg];
+        continue;
+      }
+      if (i === 0 && COMMANDS.includes(arg)) {
+        flags.command = arg;
+        continue;
+      }
+      throw new UsageError(`Unknown command: ${arg}. Run with --help to see available commands.`);
+    }
+
+    const key = VALUE_FLAGS[name];
+    if (!key) {
+      throw new UsageError(`Unknown option: ${arg}. Run with --help to see available options.`);
+    }
+
+    let value;
+    if (name !== arg) {
+      value = arg.slice(eq + 1);
+    } else {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('-')) {
+        throw new UsageError(`Option ${name} requires a value`);
+      }
+      i++;
+    }
+
+    if (LIST_FLAGS.includes(key)) {
+      const items = value.split(',').map((s) => s.trim()).filter(Boolean);
+      if (items.length === 0) {
+        throw new UsageError(`Option ${name} requires a value`);
+      }
+      flags[key] = items;
+    } else {
+      flags[key] = value;
+    }
+  }
+
+  return flags;
+}
@@ -0,0 +1,104 @@
+/**
+ * Token budgets - estimate how much context a tool's generated rules take
+ * and trim them to fit a --max-tokens budget
+ */
+
+import { getCategoryInfo } from './loader.js';
+import { toTemplate, stripExamples, stripWhy } from './render.js';
+import { renderOutputs } from './drift.js';
+
+// Categories are dropped from the end of this list first; custom groups rank after core
+const GROUP_PRIORITY = ['core', 'custom', 'frameworks', 'frontend', 'typescript'];
+
+// Han, kana and Hangul characters take about a token each instead of a quarter of one
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+/**
+ * Rough token count for generated markdown: about 4 characters per token,
+ * and one token per Chinese, Japanese or Korean character (see --rules-lang)
+ */
+export function estimateTokens(text) {
+  const cjk = text.match(CJK_RE)?.length ?? 0;
+  return Math.ceil(cjk + (text.length - cjk) / 4);
+}
+
+/**
+ * The budget that applies to a tool: its own entry, else the default, else none
+ * maxTokens: { default?: number, [tool]: number }
+ */
+export function budgetFor(maxTokens, tool) {
+  return maxTokens?.[tool] ?? maxTokens?.default ?? null;
+}
+
+/**
+ * Render a tool's outputs (see renderOutputs), trimming them to fit maxTokens when set:
+ * code examples go first, then WHY lines, then whole categories from the lowest priority up.
+ * At least one category is always kept, so the result can still be over budget.
+ * Returns { outputs, tokens, maxTokens, trimmed: { examples, why, dropped: [category] }, overLimit, condensed }
+ * where overLimit lists what the tool itself would truncate and condensed what the adapter
+ * shortened to stay under the tool's limits (see checkLimits and checkCondensed in adapters/index.js)
+ */
+export function renderWithinBudget(adapter, layout, templates, options, maxTokens = null) {
+  const render = (current) => {
+    const outputs = renderOutputs(adapter, layout, current, options, [...current.keys()]);
+    const tokens = outputs.reduce((sum, output) => sum + estimateTokens(output.content), 0);
+    return { templates: current, outputs, tokens };
+  };
+
+  let result = render(templates);
+  const trimmed = { examples: false, why: false, dropped: [] };
+  const fits = () => !maxTokens || result.tokens <= maxTokens;
+
+  // Stripped templates stay the input even when a stage saves nothing yet: an adapter that
+  // condenses large outputs on its own (Windsurf) only renders what was removed once
+  // categories are dropped
+  const stages = [];
+  for (const stage of [['examples', stripExamples], ['why', stripWhy]]) {
+    if (fits()) break;
+    result = render(mapTemplates(result.templates, stage[1]));
+    stages.push(stage);
+  }
+
+  for (const category of dropOrder(result.templates)) {
+    if (fits() || result.templates.size <= 1) break;
+    const rest = new Map(result.templates);
+    rest.delete(category);
+    result = render(rest);
+    trimmed.dropped.push(category);
+  }
+
+  // Only count a stage when this tool's format actually rendered what it removed
+  let previous = render(new Map([...templates].filter(([category]) => result.templates.has(category))));
+  for (const [stage, strip] of stages) {
+    const next = render(mapTemplates(previous.templates, strip));
+    trimmed[stage] = next.tokens < previous.tokens;
+    previous = next;
+  }
+
+  const overLimit = adapter.checkLimits ? adapter.checkLimits(result.outputs) : [];
+  const condensed = adapter.checkCondensed ? adapter.checkCondensed(result.templates, options) : [];
+  return { outputs: result.outputs, tokens: result.tokens, maxTokens, trimmed, overLimit, condensed };
+}
+
+function mapTemplates(templates, fn) {
+  const mapped = new Map();
+  for (const [category, value] of templates) {
+    mapped.set(category, fn(toTemplate(value, category)));
+  }
+  return mapped;
+}
+
+/**
+ * Categories in the order they are dropped: lowest-priority group first,
+ * later categories within a group before earlier ones (A10 before A01)
+ */
+function dropOrder(templates) {
+  const rank = (category) => {
+    const index = GROUP_PRIORITY.indexOf(getCategoryInfo(category).group);
+    return index === -1 ? GROUP_PRIORITY.indexOf('custom') : index;
+  };
+  return [...templates.keys()]
+    .map((category, index) => ({ category, index, rank: rank(category) }))
+    .sort((a, b) => b.rank - a.rank || b.index - a.index)
+    .map(({ category }) => category);
+}
@@ -0,0 +1,298 @@
+/**
+ * Project config - declarative settings committed with the project
+ * Reads secure-coding-rules.config.json or the "secureCodingRules" key in package.json
+ */
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { getAITools, FRAMEWORKS, getSecurityCategories } from './prompts.js';
+import { loadCustomTemplates } from './loader.js';
+import { findAdapterPlugins, pendingPluginTools } from './plugins.js';
+import { supportedLangs } from './i18n.js';
+import { DETAIL_LEVELS } from './render.js';
+import { ConfigError } from './errors.js';
+
+export const CONFIG_FILE = 'secure-coding-rules.config.json';
+export const PACKAGE_KEY = 'secureCodingRules';
+
+const OUTPUT_MODES = ['inline', 'directory'];
+
+const CONFIG_KEYS = [
+  '$schema', 'tools', 'outputMode', 'framework', 'categories', 'exclude', 'templatesDir',
+  'suppress', 'rulesLang', 'adapters', 'maxTokens', 'detail', 'workspaces',
+];
+
+const RULE_ID_RE = /^[A-Z0-9][A-Z0-9-]*-R\d+$/;
+
+/**
+ * Load project config from cwd
+ * Custom templates named by templatesDir are registered before categories are validated,
+ * and adapter plugins (config "adapters" and installed packages) are found before tools
+ * are; they are imported once the selection is known (see loadAdapterPlugins)
+ * An unparsable package.json counts as no config: its message is pushed to `warnings`
+ * instead of thrown, since the file is not ours
+ * Returns null when the project has no config
+ */
+export async function loadConfig(cwd, warnings = []) {
+  let raw;
+  let source;
+
+  const configPath = join(cwd, CONFIG_FILE);
+  const pkgPath = join(cwd, 'package.json');
+  if (existsSync(configPath)) {
+    raw = await readJson(configPath, CONFIG_FILE);
+    source = CONFIG_FILE;
+  } else if (existsSync(pkgPath)) {
+    try {
+      raw = (await readJson(pkgPath, 'package.json'))?.[PACKAGE_KEY];
+      source = `package.json "${PACKAGE_KEY}"`;
+    } catch (err) {
+      warnings.push(err.message);
+    }
+  }
+
+  await findAdapterPlugins(cwd, isObject(raw?.adapters) ? raw.adapters : {});
+
+  if (raw === undefined) return null;
+
+  if (raw && typeof raw.templatesDir === 'string') {
+    await loadCustomTemplates(resolve(cwd, raw.templatesDir));
+  }
+
+  return { ...validateConfig(raw, source), source };
+}
+
+/**
+ * Combine project config with selection flags from the command line
+ * Flags override config values; returns null when neither declares anything
+ */
+export function resolvePreset(fileConfig, flags = {}) {
+  const fromFlags = {};
+  for (const key of ['tools', 'outputMode', 'framework', 'categories', 'exclude']) {
+    if (flags[key] !== undefined) fromFlags[key] = flags[key];
+  }
+
+  if (!fileConfig && Object.keys(fromFlags).length === 0) return null;
+
+  return { ...fileConfig, ...validateConfig(fromFlags, 'command line') };
+}
+
+/**
+ * Language of the generated rules, independent of the CLI language:
+ * --rules-lang, then config "rulesLang", then an explicit --lang, else English
+ */
+export function resolveRulesLang(fileConfig, flags = {}) {
+  if (flags.rulesLang !== undefined) {
+    return validateValue(flags.rulesLang, 'rulesLang', supportedLangs, 'command line');
+  }
+  if (fileConfig?.rulesLang) return fileConfig.rulesLang;
+  const lang = flags.lang?.toLowerCase();
+  return supportedLangs.includes(lang) ? lang : 'en';
+}
+
+/**
+ * Token budgets: --max-tokens entries override the config "maxTokens" tool by tool
+ * Returns { default?, [tool]: tokens } or undefined when no budget is set
+ */
+export function resolveMaxTokens(fileConfig, flags = {}) {
+  const fromFlags =
+    flags.maxTokens !== undefined ? validateMaxTokens(flags.maxTokens, 'command line') : {};
+  const budgets = { ...fileConfig?.maxTokens, ...fromFlags };
+  return Object.keys(budgets).length > 0 ? budgets : undefined;
+}
+
+/**
+ * Detail levels: --detail entries override the config "detail" tool by tool
+ * Returns { default?, [tool]: level } or undefined to keep every adapter's default
+ */
+export function resolveDetail(fileConfig, flags = {}) {
+  const fromFlags = flags.detail !== undefined ? validateDetail(flags.detail, 'command line') : {};
+  const levels = { ...fileConfig?.detail, ...fromFlags };
+  return Object.keys(levels).length > 0 ? levels : undefined;
+}
+
+/**
+ * Validate raw config values, throwing on anything unknown
+ */
+export function validateConfig(raw, source = CONFIG_FILE) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError(`${source}: config must be a JSON object`);
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new ConfigError(
+        `${source}: unknown option "${key}". Expected one of: ${CONFIG_KEYS.slice(1).join(', ')}`
+      );
+    }
+  }
+
+  const config = {};
+
+  if (raw.tools !== undefined) {
+    config.tools = validateList(raw.tools, 'tools', toolKeys(), source);
+  }
+  if (raw.outputMode !== undefined) {
+    config.outputMode = validateValue(raw.outputMode, 'outputMode', OUTPUT_MODES, source);
+  }
+  if (raw.framework !== undefined) {
+    config.framework = validateValue(raw.framework, 'framework', valuesOf(FRAMEWORKS), source);
+  }
+  if (raw.categories !== undefined) {
+    config.categories = validateList(
+      raw.categories, 'categories', valuesOf(getSecurityCategories()), source
+    );
+  }
+  if (raw.exclude !== undefined) {
+    config.exclude = validateList(
+      raw.exclude, 'exclude', valuesOf(getSecurityCategories()), source
+    );
+  }
+  if (raw.templatesDir !== undefined) {
+    if (typeof raw.templatesDir !== 'string') {
+      throw new ConfigError(`${source}: "templatesDir" must be a path string`);
+    }
+    config.templatesDir = raw.templatesDir;
+  }
+  if (raw.suppress !== undefined) {
+    config.suppress = validateSuppress(raw.suppress, source);
+  }
+  if (raw.rulesLang !== undefined) {
+    config.rulesLang = validateValue(raw.rulesLang, 'rulesLang', supportedLangs, source);
+  }
+  if (raw.maxTokens !== undefined) {
+    config.maxTokens = validateMaxTokens(raw.maxTokens, source);
+  }
+  if (raw.detail !== undefined) {
+    config.detail = validateDetail(raw.detail, source);
+  }
+  if (raw.workspaces !== undefined) {
+    if (typeof raw.workspaces !== 'boolean') {
+      throw new ConfigError(`${source}: "workspaces" must be true or false`);
+    }
+    config.workspaces = raw.workspaces;
+  }
+  if (raw.adapters !== undefined) {
+    if (!isObject(raw.adapters) || Object.values(raw.adapters).some((v) => typeof v !== 'string')) {
+      throw new ConfigError(`${source}: "adapters" must map tool names to a module path or package name`);
+    }
+    config.adapters = { ...raw.adapters };
+  }
+
+  return config;
+}
+
+/**
+ * Built-in and registered adapters, plus plugins that are found but not imported yet
+ */
+function toolKeys() {
+  return [...new Set([...valuesOf(getAITools()), ...pendingPluginTools()])];
+}
+
+function validateSuppress(value, source) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ConfigError(`${source}: "suppress" must map rule ids to a justification`);
+  }
+  for (const [id, reason] of Object.entries(value)) {
+    if (!RULE_ID_RE.test(id)) {
+      throw new ConfigError(`${source}: suppress key "${id}" is not a rule id (e.g. "A05-R7")`);
+    }
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      throw new ConfigError(`${source}: suppress "${id}" needs a written justification`);
+    }
+  }
+  return { ...value };
+}
+
+/**
+ * Accepts 8000, { "default": 8000, "claude": 4000 } or "8000,claude=4000" (command line)
+ */
+function validateMaxTokens(value, source) {
+  const budgets = {};
+  for (const [tool, raw] of perToolEntries(value, 'maxTokens', 'a number', source)) {
+    const tokens = typeof value === 'string' ? Number(raw) : raw;
+    if (!Number.isInteger(tokens) || tokens <= 0) {
+      throw new ConfigError(`${source}: maxTokens for "${tool}" must be a positive whole number`);
+    }
+    budgets[tool] = tokens;
+  }
+  return budgets;
+}
+
+/**
+ * Accepts "minimal", { "default": "minimal", "cursor": "full" } or "minimal,cursor=full"
+ */
+function validateDetail(value, source) {
+  const levels = {};
+  for (const [tool, level] of perToolEntries(value, 'detail', 'a detail level', source)) {
+    levels[tool] = validateValue(level, 'detail', DETAIL_LEVELS, source);
+  }
+  return levels;
+}
+
+/**
+ * Split a per-tool setting into [tool, value] pairs: a plain value applies to every
+ * tool ("default"), an object or "value,tool=value" string sets tools one by one
+ */
+function perToolEntries(value, key, expected, source) {
+  let entries;
+  if (typeof value === 'number') {
+    entries = [['default', value]];
+  } else if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const eq = item.indexOf('=');
+        return eq === -1 ? ['default', item] : [item.slice(0, eq).trim(), item.slice(eq + 1).trim()];
+      });
+  } else if (isObject(value)) {
+    entries = Object.entries(value);
+  }
+  if (!entries || entries.length === 0) {
+    throw new ConfigError(`${source}: "${key}" must be ${expected} or map tools to ${expected}`);
+  }
+
+  const tools = ['default', ...toolKeys()];
+  for (const [tool] of entries) {
+    validateValue(tool, `${key} tool`, tools, source);
+  }
+  return entries;
+}
+
+function validateList(value, key, allowed, source) {
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+    throw new ConfigError(`${source}: "${key}" must be an array of strings`);
+  }
+  for (const item of value) {
+    validateValue(item, key, allowed, source);
+  }
+  return [...new Set(value)];
+}
+
+function validateValue(value, key, allowed, source) {
+  if (!allowed.includes(value)) {
+    throw new ConfigError(
+      `${source}: unknown ${key} value "${value}". Expected one of: ${allowed.join(', ')}`
+    );
+  }
+  return value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function valuesOf(options) {
+  return options.map((o) => o.value);
+}
+
+async function readJson(filePath, label) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (err) {
+    throw new ConfigError(`Could not parse ${label}: ${err.message}`);
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Drift detection - compares what each adapter would generate with the files on disk
+ * Used by `--check --ci` to fail builds when generated rules are stale or hand-edited
+ */
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+// Section markers: HTML comments in Markdown, line comments in JavaScript (eslint.config.js)
+const MARKERS = [
+  { start: '<!-- js-secure-coding:start -->', end: '<!-- js-secure-coding:end -->', lines: false },
+  { start: '// js-secure-coding:start', end: '// js-secure-coding:end', lines: true },
+];
+const VERSION_RE = /(?:<!--|\/\/) version: ([^\s]+)/;
+
+/**
+ * Render everything an adapter would write, without touching the disk
+ * layout: 'single' | 'multiple' | 'directory'
+ * Returns [{ path, content, section }] - section entries live between markers
+ */
+export function renderOutputs(adapter, layout, templates, options, categories) {
+  const outputs = [];
+
+  if (layout === 'multiple' || layout === 'directory') {
+    const dir = layout === 'multiple' ? adapter.outputDir : adapter.rulesDir;
+    for (const [filename, content] of adapter.formatMultiple(templates, options)) {
+      outputs.push({ path: `${dir}/${filename}`, content, section: false });
+    }
+  }
+
+  if (layout === 'directory') {
+    outputs.push({
+      path: adapter.outputPath,
+      content: adapter.formatReference(categories, options),
+      section: Boolean(adapter.merge),
+    });
+  } else if (layout === 'single') {
+    outputs.push({
+      path: adapter.outputPath,
+      content: adapter.format(templates, options),
+      section: Boolean(adapter.merge),
+    });
+  }
+
+  return outputs;
+}
+
+/**
+ * Compare rendered outputs with the files in cwd
+ * Returns [{ path, status, version }] for every output that drifted,
+ * where status is 'missing' | 'outdated' | 'modified'
+ */
+export async function checkDrift(cwd, outputs, version) {
+  const drift = [];
+
+  for (const output of outputs) {
+    const filePath = join(cwd, output.path);
+    if (!existsSync(filePath)) {
+      drift.push({ path: output.path, status: 'missing' });
+      continue;
+    }
+
+    let actual = await readFile(filePath, 'utf-8');
+    if (output.section) {
+      actual = extractSection(actual);
+      if (actual === null) {
+        drift.push({ path: output.path, status: 'missing' });
+        continue;
+      }
+    }
+
+    if (normalize(actual) === normalize(output.content)) continue;
+
+    const found = readVersion(actual);
+    if (found && found !== version) {
+      drift.push({ path: output.path, status: 'outdated', version: found });
+    } else {
+      drift.push({ path: output.path, status: 'modified' });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Return the marker-delimited security section of a file, or null if absent
+ */
+export function extractSection(content) {
+  const found = findSection(content);
+  return found ? content.substring(found.start, found.end) : null;
+}
+
+/**
+ * Return the file content with the security section cut out, or null if absent
+ * An empty string means nothing but the section was in the file
+ * Line-comment sections take their whole lines with them, leaving the code around them as it was
+ */
+export function removeSection(content) {
+  const found = findSection(content);
+  if (!found) return null;
+
+  if (found.marker.lines) {
+    const lineStart = content.lastIndexOf('\n', found.start - 1) + 1;
+    const lineEnd = content.indexOf('\n', found.end);
+    const rest = content.substring(0, lineStart) + (lineEnd === -1 ? '' : content.substring(lineEnd + 1));
+    return rest.trim() ? rest.trimEnd() : '';
+  }
+
+  const before = content.substring(0, found.start).trimEnd();
+  const after = content.substring(found.end).trim();
+  return [before, after].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Read the `<!-- version: x -->` (or `// version: x`) marker written by the adapters
+ */
+export function readVersion(content) {
+  const match = content.match(VERSION_RE);
+  return match ? match[1] : null;
+}
+
+function findSection(content) {
+  for (const marker of MARKERS) {
+    const start = content.indexOf(marker.start);
+    const end = content.indexOf(marker.end);
+    if (start !== -1 && end > start) return { marker, start, end: end + marker.end.length };
+  }
+  return null;
+}
+
+function normalize(content) {
+  return content.replace(/\r\n/g, '\n').trim();
+}
@@ -0,0 +1,55 @@
+/**
+ * Typed errors - every failure the CLI or the Node API reports is one of these,
+ * so callers can branch on `instanceof` or `code` instead of matching messages
+ */
+
+export class SecureCodingRulesError extends Error {
+  constructor(message, code = 'ERR_SECURE_CODING_RULES') {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+  }
+}
+
+/** Unknown or conflicting command-line flags */
+export class UsageError extends SecureCodingRulesError {
+  constructor(message) {
+    super(message, 'ERR_USAGE');
+  }
+}
+
+/** Invalid project config, generate() options or suppressions */
+export class ConfigError extends SecureCodingRulesError {
+  constructor(message) {
+    super(message, 'ERR_CONFIG');
+  }
+}
+
+/** Missing, malformed or unparsable rule templates */
+export class TemplateError extends SecureCodingRulesError {
+  constructor(message) {
+    super(message, 'ERR_TEMPLATE');
+  }
+}
+
+/** Plugin adapters that cannot be loaded or break the adapter contract */
+export class AdapterError extends SecureCodingRulesError {
+  constructor(message) {
+    super(message, 'ERR_ADAPTER');
+  }
+}
+
+/** Unreadable generation manifest */
+export class ManifestError extends SecureCodingRulesError {
+  constructor(message) {
+    super(message, 'ERR_MANIFEST');
+  }
+}
+
+/** An output path is taken by something that cannot be replaced (e.g. a file where a directory goes) */
+export class OutputConflictError extends SecureCodingRulesError {
+  constructor(message, path) {
+    super(message, 'ERR_OUTPUT_CONFLICT');
+    this.path = path;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * File globs per security category - used by adapters whose rule files can be
+ * scoped to matching source files (Cursor globs, Cline paths, Continue globs, Copilot applyTo)
+ * scanProjectGlobs derives them from the project tree; getGlobsForCategory is the
+ * filename-guess fallback for categories the scan found nothing for
+ */
+
+import { readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { getCategoryInfo } from './loader.js';
+
+// Directories never worth scanning (dependencies, build output, VCS)
+export const SKIP_DIRS = new Set([
+  'node_modules', 'dist', 'build', 'out', 'coverage', 'vendor', 'tmp',
+]);
+
+export const CODE_EXTS = ['js', 'ts', 'jsx', 'tsx', 'mjs', 'cjs', 'mts', 'cts', 'vue', 'svelte'];
+
+// Stop scanning huge trees; a partial scan still gives useful globs
+const MAX_ENTRIES = 20000;
+const MAX_DEPTH = 10;
+
+// More matches than this collapse to their directories, then fall back to the guess
+const MAX_GLOBS = 12;
+
+/**
+ * What marks a file as relevant to a category:
+ *   names - whole words of a directory or code file name, or a plural with a trailing s
+ *           (hyphens join consecutive words: "sign-in" matches signIn.ts and sign_in.ts)
+ *   exts  - file extensions
+ *   files - exact file names
+ */
+const SCAN_RULES = {
+  'authentication': { names: ['auth', 'authn', 'authentication', 'authenticate', 'login', 'log-in', 'logout', 'signin', 'sign-in', 'signup', 'sign-up', 'session', 'passport', 'oauth', 'jwt', 'iam', 'identity', 'password'] },
+  'access-control': { names: ['middleware', 'guard', 'policy', 'policies', 'permission', 'role', 'rbac', 'acl', 'authz', 'authorization', 'authorize'] },
+  'injection': { names: ['api', 'route', 'router', 'handler', 'controller', 'resolver', 'query', 'queries', 'db', 'database', 'repository', 'repositories', 'sql', 'prisma'] },
+  'cryptographic': { names: ['crypto', 'hash', 'hashing', 'encrypt', 'encryption', 'decrypt', 'decryption', 'cipher', 'token', 'secret'] },
+  'security-config': { names: ['config', 'configuration', 'setting', 'env', 'environment', 'cors', 'helmet', 'security'] },
+  'supply-chain': { files: ['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock', '.npmrc'] },
+  'data-integrity': { names: ['serialize', 'serializer', 'serialization', 'deserialize', 'deserializer', 'deserialization', 'upload', 'uploader', 'webhook', 'schema', 'validate', 'validator', 'validation', 'integrity'] },
+  'logging-alerting': { names: ['log', 'logger', 'logging', 'monitor', 'monitoring', 'alert', 'alerting', 'audit', 'telemetry', 'sentry'] },
+  'error-handling': { names: ['error', 'exception', 'catch', 'fallback', 'boundary', 'boundaries'] },
+  'xss-prevention': { exts: ['jsx', 'tsx', 'vue', 'svelte', 'html'] },
+  'csrf-protection': { names: ['form', 'fetch', 'fetcher', 'request', 'api'] },
+  'csp': { names: ['csp', 'content-security-policy', 'helmet', 'headers', 'security-header'] },
+  'secure-state': { names: ['store', 'context', 'state', 'reducer', 'slice', 'atom'] },
+  'typescript-security': { exts: ['ts', 'tsx', 'mts', 'cts'] },
+  'react-security': { exts: ['jsx', 'tsx'] },
+  'vue-security': { exts: ['vue'] },
+  'nuxt-security': { exts: ['vue'] },
+};
+
+/**
+ * Globs a rule file for the category should be scoped to: the scanned project globs
+ * in options.globs (see scanProjectGlobs), else the filename guess, else null
+ * when the category applies everywhere
+ */
+export function categoryGlobs(category, options = {}) {
+  const { framework = 'vanilla', globs } = options;
+  if (globs?.[category]) return globs[category];
+  const guess = getGlobsForCategory(category, framework);
+  return guess ? [guess] : null;
+}
+
+/**
+ * How a category's rule file should be activated, for tools with activation modes
+ * (Cursor rule types, Windsurf triggers):
+ *   auto   - attached to files matching its globs
+ *   always - core OWASP categories without globs, which apply to all code
+ *   agent  - everything else without globs, pulled in by the model from its description
+ */
+export function ruleScope(category, globs) {
+  if (globs) return 'auto';
+  return getCategoryInfo(category).group === 'core' ? 'always' : 'agent';
+}
+
+/**
+ * Walk the project tree and derive real globs for each category from the files
+ * and directories that are there, e.g. { authentication: ['src/server/iam/**'] }
+ * Categories without matches are left out
+ */
+export function scanProjectGlobs(cwd, categories) {
+  const rules = categories.filter((category) => SCAN_RULES[category]);
+  const found = Object.fromEntries(rules.map((category) => [category, new Set()]));
+  if (rules.length === 0) return {};
+
+  let seen = 0;
+  const walk = (dir, depth, claimed) => {
+    let entries;
+    try {
+      entries = readdirSync(join(cwd, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (++seen > MAX_ENTRIES) return;
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (SKIP_DIRS.has(entry.name) || entry.name.startsWith('.') || depth >= MAX_DEPTH) continue;
+        // A matching directory covers everything below it for that category
+        const matched = rules.filter(
+          (category) => !claimed.has(category) && matchesName(entry.name, SCAN_RULES[category].names)
+        );
+        for (const category of matched) found[category].add(`${path}/**`);
+        walk(path, depth + 1, new Set([...claimed, ...matched]));
+        continue;
+      }
+
+      const dot = entry.name.lastIndexOf('.');
+      const ext = dot > 0 ? entry.name.slice(dot + 1) : '';
+      for (const category of rules) {
+        const rule = SCAN_RULES[category];
+        if (rule.exts?.includes(ext)) {
+          found[category].add(`**/*.${ext}`);
+        } else if (rule.files?.includes(entry.name)) {
+          found[category].add(path);
+        } else if (
+          !claimed.has(category) &&
+          CODE_EXTS.includes(ext) &&
+          matchesName(entry.name.slice(0, dot), rule.names)
+        ) {
+          found[category].add(path);
+        }
+      }
+    }
+  };
+  walk('', 0, new Set());
+
+  const globs = {};
+  for (const category of rules) {
+    const list = collapse([...found[category]], SCAN_RULES[category]);
+    if (list) globs[category] = list;
+  }
+  return globs;
+}
+
+/**
+ * Keep a glob list short: files matched by name collapse to their directory, and a
+ * list that is still too long is dropped in favour of the filename guess
+ */
+function collapse(list, rule) {
+  if (list.length === 0) return null;
+  if (list.length <= MAX_GLOBS) return list.sort();
+  if (!rule.names) return null;
+  const dirs = [...new Set(list.map((glob) => {
+    const slash = glob.lastIndexOf('/');
+    return glob.endsWith('/**') || slash === -1 ? glob : `${glob.slice(0, slash)}/*`;
+  }))];
+  return dirs.length <= MAX_GLOBS ? dirs.sort() : null;
+}
+
+/**
+ * Whether a file or directory name contains one of the keywords as whole words
+ * ("authMiddleware" and "auth-middleware" both have the words auth and middleware,
+ * while "Login" and "formatDate" have no log or form)
+ */
+function matchesName(name, keywords = []) {
+  const words = name
+    .replace(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])|(?<=[a-zA-Z])(?=[0-9])/g, ' ')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  return keywords.some((keyword) => {
+    const parts = keyword.split('-');
+    const last = parts.length - 1;
+    return words.some((_, start) => parts.every((part, i) => {
+      const word = words[start + i];
+      return word === part || (i === last && word === `${part}s`);
+    }));
+  });
+}
+
+/**
+ * Glob for the files a category applies to, or null when it applies everywhere
+ */
+export function getGlobsForCategory(category, framework) {
+  const isReact = ['react', 'next', 'nextjs'].includes(framework);
+  const codeExts = isReact ? '{jsx,tsx,js,ts}' : '{js,ts,jsx,tsx}';
+
+  const globMap = {
+    'authentication': `**/{auth,login,signup,session}*.${codeExts}`,
+    'access-control': `**/{middleware,guard,policy,permission,role}*.${codeExts}`,
+    'injection': `**/{api,route,handler,query,db}*.${codeExts}`,
+    'cryptographic': `**/{crypto,hash,encrypt,token,secret}*.${codeExts}`,
+    'xss-prevention': isReact ? '**/*.{jsx,tsx}' : '**/*.{jsx,tsx,vue,svelte}',
+    'csrf-protection': `**/{form,forms,*Form,api*,fetch*,request*}.${codeExts}`,
+    'csp': '**/{middleware*,headers*,csp*,helmet*,server}.{js,ts}',
+    'secure-state': `**/{store*,*Store,context,*Context,state,*State,reducer*,*Reducer}.${codeExts}`,
+    'supply-chain': '**/package.json',
+    'logging-alerting': '**/{log,logs,logger*,logging*,monitor*,alert*,audit*}.{js,ts}',
+    'error-handling': `**/{error,handler,middleware,catch}*.${codeExts}`,
+  };
+  return globMap[category] || null;
+}
+
+/**
+ * Expand brace alternatives into separate globs, for tools that read a
+ * comma-separated list and cannot take commas inside a glob (Copilot applyTo)
+ * e.g. "**\/{api,db}*.{js,ts}" -> ["**\/api*.js", "**\/api*.ts", "**\/db*.js", "**\/db*.ts"]
+ */
+export function expandGlob(glob) {
+  const match = glob.match(/\{([^{}]*)\}/);
+  if (!match) return [glob];
+  const before = glob.slice(0, match.index);
+  const after = glob.slice(match.index + match[0].length);
+  return match[1].split(',').flatMap((alternative) => expandGlob(before + alternative + after));
+}
@@ -28,14 +28,27 @@ const messages = {
     toolsDetected: 'AI tools detected:',
     noToolsFound: 'No AI tool configs found (new setup)',
     frameworkDetected: 'Framework detected:',
+    workspacesDetected: (n) => `Workspace packages (${n}):`,
+    stackDetected: 'Stack:',
+    stackTypeScript: 'TypeScript:',
+    stackYes: 'yes',
+    stackNoTypeScript: 'no (TypeScript rules are left out by default)',
+    stackRuntime: 'Runtime:',
+    stackOrm: 'Database:',
+    stackAuth: 'Auth:',
+    stackValidation: 'Validation:',
+    stackBundler: 'Bundler:',
     noPackageJson: 'No package.json found (rules will be created in current directory)',
     existingRules: 'Existing rules found - will update security section only.',
     nonInteractive: 'Non-interactive environment detected, using defaults.',
+    usingConfig: (f) => `Using project config from ${f}`,
     detected: 'detected',
 
     loading: 'Loading security templates...',
     loaded: (n) => `Loaded ${n} security rule modules.`,
     noTemplates: 'No templates found. Please check your installation.',
+    templateMissing: (c) => `Template not found: ${c}`,
+    templateEnglish: (lang, list) => `No ${lang} translation yet, written in English: ${list}`,
     created: (f) => `Created: ${f}`,
     updated: (f) => `Updated: ${f} (merged with existing content)`,
     generated: (n, d) => `Generated ${n} files in ${d}/`,
@@ -51,6 +64,12 @@ const messages = {
     removedDir: (n, d) => `Removed ${n} security rule files from ${d}/`,
     noRulesFound: 'No security rules found to remove.',
     removeSuccess: 'All security rules removed.',
+    skippedModified: (f) => `Skipped ${f}: edited since it was generated (use --force to overwrite)`,
+    skippedNotOwned: (f) => `Skipped ${f}: file was not generated by secure-coding-rules (use --force to overwrite)`,
+    removedStale: (f) => `Removed ${f} (no longer generated)`,
+    keptModified: (f) => `Kept ${f}: edited since it was generated (use --force to remove)`,
+    registeredIn: (f) => `Registered generated rule files in ${f}`,
+    unregisteredIn: (f) => `Removed generated rule files from ${f}`,
 
     dryRunTitle: 'Dry Run Preview',
     dryRunFramework: 'Framework:',
@@ -60,6 +79,28 @@ const messages = {
     dryRunWouldUpdate: (f) => `Would update: ${f}`,
     dryRunSize: (s) => `Content size: ${s} KB`,
     dryRunApply: 'Run without --dry-run to apply',
+    dryRunGlobs: 'Rule file globs (scanned from the project tree):',
+    dryRunGlobsGuess: '(filename guess, nothing matched in the project)',
+    dryRunGlobsAll: 'no globs (not scoped to files)',
+    dryRunTokens: (n, max) => `Estimated tokens: ~${n}${max ? ` (budget ${max})` : ''}`,
+    packageRules: (path, framework, n) => `${path} (${framework}): ${n} package-specific rule module(s)`,
+    budgetTrimmed: (tool, max, parts) => `Trimmed ${tool} rules to fit ${max} tokens: ${parts}`,
+    budgetExamples: 'code examples removed',
+    budgetWhy: 'WHY lines removed',
+    budgetDropped: (list) => `left out ${list}`,
+    budgetExceeded: (tool, n, max) => `${tool} rules are still ~${n} tokens after trimming (budget ${max})`,
+    limitFile: (tool, path, n, max) => `${path} is ${n} characters; ${tool} truncates rule files after ${max}`,
+    limitCondensed: (tool, list) => `Condensed ${tool} rules to fit its size limits: ${list}`,
+    limitTotal: (tool, n, max) => `${tool} rules total ${n} characters; ${tool} truncates rules after ${max} in total. Select fewer categories or set --max-tokens`,
+    driftChecking: (v) => `Checking generated rules against secure-coding-rules v${v}...`,
+    driftMissing: 'missing',
+    driftOutdated: (v) => `outdated (generated by v${v})`,
+    driftModified: 'modified (differs from generated content inside js-secure-coding markers)',
+    driftFound: (n) => `${n} generated file(s) out of date. Run npx secure-coding-rules to regenerate.`,
+    driftClean: (n) => `All generated rules are up to date (${n} checked).`,
+    scanChecking: (n) => `Scanning ${n} file(s) for insecure patterns...`,
+    scanFound: (n, files) => `${n} finding(s) in ${files} file(s). Fix them or mark a line with // secure-coding-rules-ignore <rule id>.`,
+    scanClean: (n) => `No insecure patterns found (${n} file(s) scanned).`,
   },
 
   ko: {
@@ -85,14 +126,27 @@ const messages = {
     toolsDetected: '감지된 AI 도구:',
     noToolsFound: 'AI 도구 설정 없음 (신규 설정)',
     frameworkDetected: '감지된 프레임워크:',
+    workspacesDetected: (n) => `워크스페이스 패키지 (${n}):`,
+    stackDetected: '스택:',
+    stackTypeScript: 'TypeScript:',
+    stackYes: '사용',
+    stackNoTypeScript: '미사용 (TypeScript 룰은 기본적으로 제외)',
+    stackRuntime: '런타임:',
+    stackOrm: '데이터베이스:',
+    stackAuth: '인증:',
+    stackValidation: '검증:',
+    stackBundler: '번들러:',
     noPackageJson: 'package.json 없음 (현재 디렉토리에 룰 생성)',
     existingRules: '기존 룰 발견 - 보안 섹션만 업데이트합니다.',
     nonInteractive: '비대화형 환경 감지, 기본값 적용.',
+    usingConfig: (f) => `프로젝트 설정 사용: ${f}`,
     detected: '감지됨',
 
     loading: '보안 템플릿 로딩 중...',
     loaded: (n) => `${n}개 보안 룰 모듈 로드 완료.`,
     noTemplates: '템플릿을 찾을 수 없습니다. 설치를 확인해주세요.',
+    templateMissing: (c) => `템플릿을 찾을 수 없습니다: ${c}`,
+    templateEnglish: (lang, list) => `${lang} 번역이 없어 영어로 작성: ${list}`,
     created: (f) => `생성됨: ${f}`,
     updated: (f) => `업데이트됨: ${f} (기존 내용과 병합)`,
     generated: (n, d) => `${d}/에 ${n}개 파일 생성됨`,
@@ -108,6 +162,12 @@ const messages = {
     removedDir: (n, d) => `${d}/에서 보안 룰 파일 ${n}개 삭제됨`,
     noRulesFound: '제거할 보안 룰이 없습니다.',
     removeSuccess: '모든 보안 룰이 제거되었습니다.',
+    skippedModified: (f) => `${f} 건너뜀: 생성 후 수정됨 (덮어쓰려면 --force 사용)`,
+    skippedNotOwned: (f) => `${f} 건너뜀: secure-coding-rules가 생성한 파일이 아님 (덮어쓰려면 --force 사용)`,
+    removedStale: (f) => `${f} 삭제됨 (더 이상 생성되지 않음)`,
+    keptModified: (f) => `${f} 유지: 생성 후 수정됨 (삭제하려면 --force 사용)`,
+    registeredIn: (f) => `${f}에 생성된 규칙 파일 등록됨`,
+    unregisteredIn: (f) => `${f}에서 생성된 규칙 파일 등록 해제됨`,
 
     dryRunTitle: '미리보기 (Dry Run)',
     dryRunFramework: '프레임워크:',
@@ -117,6 +177,28 @@ const messages = {
     dryRunWouldUpdate: (f) => `업데이트 예정: ${f}`,
     dryRunSize: (s) => `콘텐츠 크기: ${s} KB`,
     dryRunApply: '--dry-run 없이 실행하면 적용됩니다',
+    dryRunGlobs: '규칙 파일 glob (프로젝트 트리 스캔 결과):',
+    dryRunGlobsGuess: '(파일명 추정, 프로젝트에서 일치 항목 없음)',
+    dryRunGlobsAll: 'glob 없음 (파일 범위 지정 안 함)',
+    dryRunTokens: (n, max) => `예상 토큰 수: ~${n}${max ? ` (예산 ${max})` : ''}`,
+    packageRules: (path, framework, n) => `${path} (${framework}): 패키지 전용 카테고리 ${n}개`,
+    budgetTrimmed: (tool, max, parts) => `${tool} 규칙을 ${max} 토큰에 맞게 축소: ${parts}`,
+    budgetExamples: '코드 예제 제외',
+    budgetWhy: 'WHY 설명 제외',
+    budgetDropped: (list) => `${list} 제외`,
+    budgetExceeded: (tool, n, max) => `축소 후에도 ${tool} 규칙이 ~${n} 토큰입니다 (예산 ${max})`,
+    limitFile: (tool, path, n, max) => `${path}는 ${n}자입니다. ${tool}는 규칙 파일을 ${max}자에서 잘라냅니다`,
+    limitCondensed: (tool, list) => `${tool} 크기 제한에 맞게 규칙을 축약: ${list}`,
+    limitTotal: (tool, n, max) => `${tool} 규칙이 총 ${n}자입니다. ${tool}는 전체 ${max}자를 넘는 규칙을 잘라냅니다. 카테고리를 줄이거나 --max-tokens를 설정하세요`,
+    driftChecking: (v) => `secure-coding-rules v${v} 기준으로 생성된 룰 확인 중...`,
+    driftMissing: '없음',
+    driftOutdated: (v) => `오래됨 (v${v}에서 생성)`,
+    driftModified: '수정됨 (js-secure-coding 마커 안의 내용이 생성 결과와 다름)',
+    driftFound: (n) => `생성된 파일 ${n}개가 최신이 아닙니다. npx secure-coding-rules로 다시 생성하세요.`,
+    driftClean: (n) => `생성된 룰이 모두 최신입니다 (${n}개 확인).`,
+    scanChecking: (n) => `파일 ${n}개에서 취약한 패턴 검사 중...`,
+    scanFound: (n, files) => `파일 ${files}개에서 ${n}건이 발견되었습니다. 수정하거나 해당 줄에 // secure-coding-rules-ignore <룰 ID>를 표시하세요.`,
+    scanClean: (n) => `취약한 패턴이 없습니다 (파일 ${n}개 검사).`,
   },
 
   ja: {
@@ -141,14 +223,27 @@ const messages = {
     toolsDetected: '検出されたAIツール:',
     noToolsFound: 'AIツール設定なし（新規セットアップ）',
     frameworkDetected: '検出されたフレームワーク:',
+    workspacesDetected: (n) => `ワークスペースパッケージ (${n}):`,
+    stackDetected: 'スタック:',
+    stackTypeScript: 'TypeScript:',
+    stackYes: 'あり',
+    stackNoTypeScript: 'なし（TypeScriptルールはデフォルトで除外）',
+    stackRuntime: 'ランタイム:',
+    stackOrm: 'データベース:',
+    stackAuth: '認証:',
+    stackValidation: 'バリデーション:',
+    stackBundler: 'バンドラー:',
     noPackageJson: 'package.jsonなし（カレントディレクトリにルール作成）',
     existingRules: '既存ルール検出 - セキュリティセクションのみ更新します。',
     nonInteractive: '非対話環境を検出、デフォルト値を適用。',
+    usingConfig: (f) => `プロジェクト設定を使用: ${f}`,
     detected: '検出済み',
 
     loading: 'セキュリティテンプレートを読み込み中...',
     loaded: (n) => `${n}個のセキュリティルールモジュールを読み込みました。`,
     noTemplates: 'テンプレートが見つかりません。インストールを確認してください。',
+    templateMissing: (c) => `テンプレートが見つかりません: ${c}`,
+    templateEnglish: (lang, list) => `${lang} の翻訳がないため英語で出力: ${list}`,
     created: (f) => `作成: ${f}`,
     updated: (f) => `更新: ${f}（既存コンテンツとマージ）`,
     generated: (n, d) => `${d}/に${n}個のファイルを生成`,
@@ -164,6 +259,12 @@ const messages = {
     removedDir: (n, d) => `${d}/から${n}個のセキュリティルールファイルを削除`,
     noRulesFound: '削除するセキュリティルールが見つかりません。',
     removeSuccess: 'すべてのセキュリティルールを削除しました。',
+    skippedModified: (f) => `${f}をスキップ: 生成後に編集されています（上書きするには--forceを使用）`,
+    skippedNotOwned: (f) => `${f}をスキップ: secure-coding-rulesが生成したファイルではありません（上書きするには--forceを使用）`,
+    removedStale: (f) => `${f}を削除（生成対象外になりました）`,
+    keptModified: (f) => `${f}を保持: 生成後に編集されています（削除するには--forceを使用）`,
+    registeredIn: (f) => `${f}に生成したルールファイルを登録`,
+    unregisteredIn: (f) => `${f}から生成したルールファイルの登録を解除`,
 
     dryRunTitle: 'プレビュー (Dry Run)',
     dryRunFramework: 'フレームワーク:',
@@ -173,6 +274,28 @@ const messages = {
     dryRunWouldUpdate: (f) => `更新予定: ${f}`,
     dryRunSize: (s) => `コンテンツサイズ: ${s} KB`,
     dryRunApply: '--dry-runなしで実行すると適用されます',
+    dryRunGlobs: 'ルールファイルの glob(プロジェクトツリーから検出):',
+    dryRunGlobsGuess: '(ファイル名による推定、プロジェクト内に一致なし)',
+    dryRunGlobsAll: 'glob なし(ファイルに限定しない)',
+    dryRunTokens: (n, max) => `推定トークン数: ~${n}${max ? `（予算 ${max}）` : ''}`,
+    packageRules: (path, framework, n) => `${path} (${framework}): パッケージ固有のカテゴリ ${n} 個`,
+    budgetTrimmed: (tool, max, parts) => `${tool}のルールを${max}トークンに収まるよう削減: ${parts}`,
+    budgetExamples: 'コード例を除外',
+    budgetWhy: 'WHYの説明を除外',
+    budgetDropped: (list) => `${list}を除外`,
+    budgetExceeded: (tool, n, max) => `削減後も${tool}のルールは~${n}トークンです（予算 ${max}）`,
+    limitFile: (tool, path, n, max) => `${path} は ${n} 文字です。${tool} はルールファイルを ${max} 文字で切り捨てます`,
+    limitCondensed: (tool, list) => `${tool}のサイズ制限に収まるようルールを簡略化: ${list}`,
+    limitTotal: (tool, n, max) => `${tool} のルールは合計 ${n} 文字です。${tool} は合計 ${max} 文字を超えるルールを切り捨てます。カテゴリを減らすか --max-tokens を設定してください`,
+    driftChecking: (v) => `secure-coding-rules v${v} を基準に生成済みルールを確認中...`,
+    driftMissing: '見つかりません',
+    driftOutdated: (v) => `古いバージョン（v${v}で生成）`,
+    driftModified: '変更あり（js-secure-codingマーカー内が生成内容と異なります）',
+    driftFound: (n) => `${n}個の生成ファイルが最新ではありません。npx secure-coding-rules で再生成してください。`,
+    driftClean: (n) => `生成済みルールはすべて最新です（${n}個を確認）。`,
+    scanChecking: (n) => `${n}個のファイルで危険なパターンを検査中...`,
+    scanFound: (n, files) => `${files}個のファイルで${n}件見つかりました。修正するか、その行に // secure-coding-rules-ignore <ルールID> を付けてください。`,
+    scanClean: (n) => `危険なパターンは見つかりませんでした（${n}個のファイルを検査）。`,
   },
 
   zh: {
@@ -197,14 +320,27 @@ const messages = {
     toolsDetected: '检测到的AI工具:',
     noToolsFound: '未找到AI工具配置（新设置）',
     frameworkDetected: '检测到的框架:',
+    workspacesDetected: (n) => `工作区包 (${n}):`,
+    stackDetected: '技术栈:',
+    stackTypeScript: 'TypeScript:',
+    stackYes: '是',
+    stackNoTypeScript: '否（默认不包含 TypeScript 规则）',
+    stackRuntime: '运行时:',
+    stackOrm: '数据库:',
+    stackAuth: '认证:',
+    stackValidation: '校验:',
+    stackBundler: '打包工具:',
     noPackageJson: '未找到package.json（将在当前目录创建规则）',
     existingRules: '发现现有规则 - 仅更新安全部分。',
     nonInteractive: '检测到非交互环境，使用默认值。',
+    usingConfig: (f) => `使用项目配置: ${f}`,
     detected: '已检测',
 
     loading: '正在加载安全模板...',
     loaded: (n) => `已加载 ${n} 个安全规则模块。`,
     noTemplates: '未找到模板。请检查安装。',
+    templateMissing: (c) => `未找到模板: ${c}`,
+    templateEnglish: (lang, list) => `暂无 ${lang} 翻译，以英文生成: ${list}`,
     created: (f) => `已创建: ${f}`,
     updated: (f) => `已更新: ${f}（与现有内容合并）`,
     generated: (n, d) => `在 ${d}/ 中生成了 ${n} 个文件`,
@@ -220,6 +356,12 @@ const messages = {
     removedDir: (n, d) => `已从 ${d}/ 中删除 ${n} 个安全规则文件`,
     noRulesFound: '未找到可删除的安全规则。',
     removeSuccess: '所有安全规则已删除。',
+    skippedModified: (f) => `已跳过 ${f}：生成后被修改（使用 --force 覆盖）`,
+    skippedNotOwned: (f) => `已跳过 ${f}：该文件不是由 secure-coding-rules 生成的（使用 --force 覆盖）`,
+    removedStale: (f) => `已删除 ${f}（不再生成）`,
+    keptModified: (f) => `已保留 ${f}：生成后被修改（使用 --force 删除）`,
+    registeredIn: (f) => `已在 ${f} 中登记生成的规则文件`,
+    unregisteredIn: (f) => `已从 ${f} 中移除生成的规则文件`,
 
     dryRunTitle: '预览 (Dry Run)',
     dryRunFramework: '框架:',
@@ -229,15 +371,36 @@ const messages = {
     dryRunWouldUpdate: (f) => `将更新: ${f}`,
     dryRunSize: (s) => `内容大小: ${s} KB`,
     dryRunApply: '不加 --dry-run 运行以应用',
+    dryRunGlobs: '规则文件 glob(扫描项目目录得出):',
+    dryRunGlobsGuess: '(按文件名推测,项目中无匹配)',
+    dryRunGlobsAll: '无 glob(不限定文件)',
+    dryRunTokens: (n, max) => `预计 token 数：~${n}${max ? `（预算 ${max}）` : ''}`,
+    packageRules: (path, framework, n) => `${path} (${framework})：${n} 个包专属类别`,
+    budgetTrimmed: (tool, max, parts) => `已精简 ${tool} 规则以适应 ${max} token：${parts}`,
+    budgetExamples: '已移除代码示例',
+    budgetWhy: '已移除 WHY 说明',
+    budgetDropped: (list) => `已省略 ${list}`,
+    budgetExceeded: (tool, n, max) => `精简后 ${tool} 规则仍约 ${n} token（预算 ${max}）`,
+    limitFile: (tool, path, n, max) => `${path} 有 ${n} 个字符；${tool} 会截断超过 ${max} 个字符的规则文件`,
+    limitCondensed: (tool, list) => `为符合 ${tool} 的大小限制已精简规则: ${list}`,
+    limitTotal: (tool, n, max) => `${tool} 规则共 ${n} 个字符；${tool} 会截断总计超过 ${max} 个字符的规则。请减少类别或设置 --max-tokens`,
+    driftChecking: (v) => `正在按 secure-coding-rules v${v} 检查已生成的规则...`,
+    driftMissing: '缺失',
+    driftOutdated: (v) => `已过期（由 v${v} 生成）`,
+    driftModified: '已修改（js-secure-coding 标记内的内容与生成结果不一致）',
+    driftFound: (n) => `${n} 个生成的文件不是最新的。请运行 npx secure-coding-rules 重新生成。`,
+    driftClean: (n) => `所有生成的规则均为最新（已检查 ${n} 个）。`,
+    scanChecking: (n) => `正在检查 ${n} 个文件中的不安全模式...`,
+    scanFound: (n, files) => `在 ${files} 个文件中发现 ${n} 处问题。请修复，或在该行标注 // secure-coding-rules-ignore <规则 ID>。`,
+    scanClean: (n) => `未发现不安全模式（已检查 ${n} 个文件）。`,
   },
 };
 
 let currentLang = 'en';
 
-export function initLang(args = []) {
-  const langIdx = args.indexOf('--lang');
-  if (langIdx !== -1 && args[langIdx + 1]) {
-    const requested = args[langIdx + 1].toLowerCase();
+export function initLang(lang) {
+  if (lang) {
+    const requested = lang.toLowerCase();
     if (messages[requested]) {
       currentLang = requested;
       return currentLang;
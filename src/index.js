@@ -2,89 +2,142 @@
  * secure-coding-rules - OWASP 2025 Security Rules Generator for AI Coding Assistants
  */
 
-import { mkdir, readFile, writeFile } from 'node:fs/promises';
-import { readFileSync, existsSync } from 'node:fs';
-import { join, dirname } from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { readFile, readdir } from 'node:fs/promises';
+import { existsSync, statSync } from 'node:fs';
+import { join, dirname, resolve } from 'node:path';
 import { initLang, t } from './i18n.js';
-import { promptUser } from './prompts.js';
-import { loadTemplates } from './loader.js';
-
-import * as claudeAdapter from './adapters/claude.js';
-import * as cursorAdapter from './adapters/cursor.js';
-import * as windsurfAdapter from './adapters/windsurf.js';
-import * as copilotAdapter from './adapters/copilot.js';
-import * as agentsAdapter from './adapters/agents.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-function getVersion() {
-  try {
-    const pkg = JSON.parse(
-      readFileSync(join(__dirname, '..', 'package.json'), 'utf-8')
-    );
-    return pkg.version;
-  } catch {
-    return '2.1.0';
-  }
-}
-
-const adapters = {
-  claude: claudeAdapter,
-  cursor: cursorAdapter,
-  windsurf: windsurfAdapter,
-  copilot: copilotAdapter,
-  agents: agentsAdapter,
-};
-
-// Tools that natively use directory-based output
-const DIRECTORY_NATIVE_TOOLS = ['cursor', 'windsurf'];
-
-// Tools that support optional directory mode
-const DIRECTORY_OPTIONAL_TOOLS = ['claude', 'copilot'];
+import { promptUser, detectProjectState, resolveConfig, getSecurityCategories, frameworkLabel } from './prompts.js';
+import { loadTemplates, loadCustomTemplates, applySuppressions, untranslatedCategories } from './loader.js';
+import { loadConfig, resolvePreset, resolveRulesLang, resolveMaxTokens, resolveDetail } from './config.js';
+import { parseArgs } from './args.js';
+import { checkDrift, removeSection } from './drift.js';
+import { scanProjectGlobs, categoryGlobs } from './globs.js';
+import { readManifest, writeManifest, recordedPresets } from './manifest.js';
+import { adapters, outputLayout } from './adapters/index.js';
+import { getVersion, planGeneration, planRemoval, planToolConfig, renderTools, apply } from './api.js';
+import { scanProject, formatScanJson, formatSarif } from './scan.js';
+import { loadAdapterPlugins } from './plugins.js';
+import { UsageError } from './errors.js';
+
+export { generate, apply } from './api.js';
+export { scanProject, formatScanJson, formatSarif } from './scan.js';
+export {
+  SecureCodingRulesError,
+  UsageError,
+  ConfigError,
+  TemplateError,
+  AdapterError,
+  ManifestError,
+  OutputConflictError,
+} from './errors.js';
+
+const SCAN_FORMATS = ['text', 'json', 'sarif'];
 
 export async function run() {
-  const args = process.argv.slice(2);
   const version = getVersion();
+  const flags = parseArgs(process.argv.slice(2));
 
-  initLang(args);
+  initLang(flags.lang);
 
-  if (args.includes('--help') || args.includes('-h')) {
+  if (flags.help) {
     printHelp(version);
     return;
   }
 
-  if (args.includes('--version') || args.includes('-v')) {
+  if (flags.version) {
     console.log(`secure-coding-rules v${version}`);
     return;
   }
 
-  // --remove flag
-  if (args.includes('--remove')) {
-    await removeRules();
+  if (flags.ci && !flags.check && flags.command !== 'scan') {
+    throw new UsageError('--ci can only be used together with --check or scan');
+  }
+  if (flags.format !== undefined && flags.command !== 'scan') {
+    throw new UsageError('--format can only be used with scan');
+  }
+
+  const dryRun = flags.dryRun;
+  if (flags.templatesDir) {
+    await loadCustomTemplates(resolve(process.cwd(), flags.templatesDir));
+  }
+  const configWarnings = [];
+  const fileConfig = await loadConfig(process.cwd(), configWarnings);
+  for (const warning of configWarnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+  const preset = resolvePreset(fileConfig, flags);
+  const rulesLang = resolveRulesLang(fileConfig, flags);
+  const maxTokens = resolveMaxTokens(fileConfig, flags);
+  const detail = resolveDetail(fileConfig, flags);
+  const workspaces = flags.workspaces === true || fileConfig?.workspaces === true;
+
+  // scan: report code that breaks the rules; --ci fails the build on any finding
+  if (flags.command === 'scan') {
+    const clean = await scanCode(flags, preset, version);
+    if (!clean && flags.ci) process.exit(1);
+    return;
+  }
+
+  // --remove flag (after config loading so custom categories are known)
+  if (flags.remove) {
+    await removeRules(flags.force);
+    return;
+  }
+
+  // --check --ci: fail when generated rules drifted from what we would write now
+  if (flags.check && flags.ci) {
+    const clean = await checkRules({ ...preset, rulesLang, maxTokens, detail, workspaces }, preset === null, version);
+    if (!clean) process.exit(1);
     return;
   }
 
-  const dryRun = args.includes('--dry-run');
-  const config = await promptUser(args);
+  // Plugin adapters are imported for the selected tools, or all of them when detection picks
+  await loadPlugins(flags.check ? null : preset?.tools ?? null);
+  const config = await promptUser(flags, preset);
 
   if (config === null) return;
+  config.rulesLang = rulesLang;
+  config.maxTokens = maxTokens;
+  config.detail = detail;
+  config.workspaces = workspaces;
 
   console.log(`\n${t('loading')}`);
-  const templates = await loadTemplates(config.categories);
+  const templates = applySuppressions(
+    await loadTemplates(config.categories, rulesLang),
+    config.suppress
+  );
 
   if (templates.size === 0) {
     console.error(t('noTemplates'));
     process.exit(1);
   }
+  printMissingTemplates(config.categories, templates);
 
   console.log(t('loaded', templates.size));
+  const english = untranslatedCategories([...templates.keys()], rulesLang);
+  if (english.length > 0) {
+    console.log(`🌐 ${t('templateEnglish', rulesLang, english.join(', '))}`);
+  }
 
   const cwd = process.cwd();
-  const options = { framework: config.framework, version };
+  const options = { framework: config.framework, version, globs: scanProjectGlobs(cwd, config.categories) };
+
+  if (dryRun) {
+    printGlobs(config.categories, options);
+    const rendered = renderTools(cwd, config, templates, version);
+    for (const toolName of config.tools) {
+      const [root, ...packages] = rendered.filter((result) => result.toolName === toolName);
+      if (!root) continue;
+      if (config.tools.length > 1) {
+        console.log(`\n${t('generatingFor', root.adapter.name)}`);
+      }
+      dryRunPreview(root, packages, config, cwd);
+    }
+    return;
+  }
+
+  const plan = await planGeneration(cwd, config, templates, { force: flags.force, version });
 
-  // Process each selected tool
   for (const toolName of config.tools) {
     const adapter = adapters[toolName];
     if (!adapter) continue;
@@ -93,207 +146,397 @@ export async function run() {
       console.log(`\n${t('generatingFor', adapter.name)}`);
     }
 
-    if (dryRun) {
-      dryRunPreview(adapter, toolName, config, templates, options, cwd);
-      continue;
-    }
-
-    const useDirectory = shouldUseDirectory(toolName, config.outputMode);
+    const layout = outputLayout(adapter, config.outputMode);
+    printToolPlan(adapter, layout, plan.entries.filter((entry) => entry.tool === toolName));
+    printBudget(adapter.name, plan.budgets[toolName]);
 
-    if (useDirectory) {
-      await generateDirectoryMode(adapter, toolName, templates, options, config, cwd);
-    } else if (DIRECTORY_NATIVE_TOOLS.includes(toolName)) {
-      await generateMultipleFiles(adapter, templates, options, cwd);
-    } else {
-      await generateSingleFile(adapter, templates, options, cwd);
+    for (const pkg of plan.packages.filter((item) => item.tool === toolName)) {
+      console.log(`📦 ${t('packageRules', pkg.path, frameworkLabel(pkg.framework), pkg.categories.length)}`);
+      printBudget(`${adapter.name} (${pkg.path})`, pkg.budget);
     }
   }
 
-  if (!dryRun) {
-    console.log(`\n✅ ${t('success')}`);
-    console.log(`📖 ${t('reference')}`);
-    console.log(`\n${t('runAgain')}\n`);
+  await apply(plan);
+  console.log(`\n✅ ${t('success')}`);
+  console.log(`📖 ${t('reference')}`);
+  console.log(`\n${t('runAgain')}\n`);
+}
+
+/**
+ * Import the plugin adapters of the given tools (null for every plugin found)
+ * and warn about installed plugin packages that could not be loaded
+ */
+async function loadPlugins(tools) {
+  const { warnings } = await loadAdapterPlugins(tools);
+  for (const warning of warnings) {
+    console.log(`⚠️  ${warning}`);
   }
 }
 
-function shouldUseDirectory(toolName, outputMode) {
-  if (DIRECTORY_NATIVE_TOOLS.includes(toolName)) return false; // cursor/windsurf already directory-based
-  if (DIRECTORY_OPTIONAL_TOOLS.includes(toolName) && outputMode === 'directory') return true;
-  return false;
+/**
+ * Warn about selected categories whose template could not be read
+ */
+function printMissingTemplates(categories, templates) {
+  for (const category of categories.filter((c) => !templates.has(c))) {
+    console.log(`⚠️  ${t('templateMissing', category)}`);
+  }
 }
 
-async function generateSingleFile(adapter, templates, options, cwd) {
-  const outputPath = join(cwd, adapter.outputPath);
-  const dir = dirname(outputPath);
+/**
+ * Report what the plan does for one tool: skipped files, generated rules,
+ * the main file, stale files and the tool's config
+ */
+function printToolPlan(adapter, layout, entries) {
+  let count = 0;
+  let main = null;
+
+  for (const entry of entries) {
+    if (entry.role !== 'rule' && entry.role !== 'main' && entry.role !== 'package') continue;
+    if (entry.action === 'skip') {
+      const key = entry.reason === 'modified' ? 'skippedModified' : 'skippedNotOwned';
+      console.log(`⚠️  ${t(key, entry.path)}`);
+    } else if (entry.role === 'main') {
+      main = entry;
+    } else if (entry.role === 'rule') {
+      count++;
+    }
+  }
 
-  if (!existsSync(dir)) {
-    await mkdir(dir, { recursive: true });
+  if (layout !== 'single') {
+    const dir = layout === 'multiple' ? adapter.outputDir : adapter.rulesDir;
+    console.log(`📝 ${t('generated', count, dir)}`);
   }
 
-  const newContent = adapter.format(templates, options);
+  if (main) {
+    const created = main.action === 'create';
+    const key =
+      layout === 'directory' ? (created ? 'refCreated' : 'refUpdated') : created ? 'created' : 'updated';
+    console.log(`📝 ${t(key, main.path)}`);
+  }
 
-  if (existsSync(outputPath) && adapter.merge) {
-    const existing = await readFile(outputPath, 'utf-8');
-    const merged = adapter.merge(existing, newContent);
-    await writeFile(outputPath, merged, 'utf-8');
-    console.log(`📝 ${t('updated', adapter.outputPath)}`);
-  } else {
-    await writeFile(outputPath, newContent, 'utf-8');
-    console.log(`📝 ${t('created', adapter.outputPath)}`);
+  for (const entry of entries) {
+    if (entry.role === 'stale') {
+      const key = { skip: 'keptModified', update: 'removedMarkers', delete: 'removedStale' }[entry.action];
+      console.log(`${entry.action === 'skip' ? '⚠️ ' : '🗑️ '} ${t(key, entry.path)}`);
+    } else if (entry.role === 'config') {
+      console.log(`📝 ${t('registeredIn', entry.path)}`);
+    }
   }
 }
 
-async function generateMultipleFiles(adapter, templates, options, cwd) {
-  const outputDir = join(cwd, adapter.outputDir);
+/**
+ * Warn when a tool's rules had to be trimmed to its --max-tokens budget, were condensed
+ * to fit a size limit the tool enforces or are still over it (name labels the tool, or a package of it)
+ */
+function printBudget(name, budget) {
+  const { trimmed, tokens, maxTokens, overLimit, condensed } = budget;
+  const parts = [];
+  if (trimmed.examples) parts.push(t('budgetExamples'));
+  if (trimmed.why) parts.push(t('budgetWhy'));
+  if (trimmed.dropped.length > 0) parts.push(t('budgetDropped', trimmed.dropped.join(', ')));
+
+  if (parts.length > 0) {
+    console.log(`✂️  ${t('budgetTrimmed', name, maxTokens, parts.join('; '))}`);
+  }
+  if (maxTokens && tokens > maxTokens) {
+    console.log(`⚠️  ${t('budgetExceeded', name, tokens, maxTokens)}`);
+  }
+  if (condensed.length > 0) {
+    const list = condensed.map(({ category, examples, why }) => {
+      const removed = [examples && t('budgetExamples'), why && t('budgetWhy')].filter(Boolean);
+      return `${category} (${removed.join(', ')})`;
+    });
+    console.log(`✂️  ${t('limitCondensed', name, list.join('; '))}`);
+  }
+  for (const { path, chars, limit } of overLimit) {
+    console.log(
+      `⚠️  ${path ? t('limitFile', name, path, chars, limit) : t('limitTotal', name, chars, limit)}`
+    );
+  }
+}
 
-  if (!existsSync(outputDir)) {
-    await mkdir(outputDir, { recursive: true });
+/**
+ * The globs each category's rule files are scoped to, for tools that scope rules by path
+ */
+function printGlobs(categories, options) {
+  console.log(`\n${t('dryRunGlobs')}`);
+  for (const category of categories) {
+    const globs = categoryGlobs(category, options);
+    let scope = t('dryRunGlobsAll');
+    if (globs) {
+      scope = options.globs[category] ? globs.join(', ') : `${globs.join(', ')} ${t('dryRunGlobsGuess')}`;
+    }
+    console.log(`  ${category}: ${scope}`);
   }
+}
 
-  const files = adapter.formatMultiple(templates, options);
-  let count = 0;
+/**
+ * Preview one tool's rendered outputs (see renderTools): the root, then each workspace package
+ */
+function dryRunPreview(root, packages, config, cwd) {
+  const { adapter, layout, outputs, budget } = root;
+  console.log(`\n── ${t('dryRunTitle')} (${adapter.name}) ──────────────────`);
+  console.log(`${t('dryRunFramework')}  ${config.framework}`);
+  console.log(`${t('dryRunCategories')} ${root.categories.length}`);
 
-  for (const [filename, content] of files) {
-    const filePath = join(outputDir, filename);
-    await writeFile(filePath, content, 'utf-8');
-    count++;
+  if (layout === 'single') {
+    const exists = existsSync(join(cwd, adapter.outputPath));
+    console.log(
+      `\n${exists ? t('dryRunWouldUpdate', adapter.outputPath) : t('dryRunWouldCreate', adapter.outputPath)}`
+    );
+    console.log(t('dryRunSize', (outputs[0].content.length / 1024).toFixed(1)));
+  } else {
+    const dir = layout === 'multiple' ? adapter.outputDir : adapter.rulesDir;
+    const files = outputs.filter((output) => output.path.startsWith(`${dir}/`));
+    console.log(`\n${t('dryRunWouldGenerate', files.length, dir)}`);
+    for (const file of files) {
+      console.log(`  - ${file.path.slice(dir.length + 1)}`);
+    }
+    if (layout === 'directory') {
+      console.log(`\n${t('dryRunWouldUpdate', adapter.outputPath)} (reference only)`);
+    }
   }
 
-  console.log(`📝 ${t('generated', count, adapter.outputDir)}`);
-}
+  if (adapter.configPath) {
+    console.log(t('dryRunWouldUpdate', adapter.configPath));
+  }
 
-async function generateDirectoryMode(adapter, toolName, templates, options, config, cwd) {
-  // 1. Generate individual rule files in the rules directory
-  const rulesDir = join(cwd, adapter.rulesDir);
+  console.log(t('dryRunTokens', budget.tokens, budget.maxTokens));
+  printBudget(adapter.name, budget);
 
-  if (!existsSync(rulesDir)) {
-    await mkdir(rulesDir, { recursive: true });
+  for (const { pkg, categories, outputs: pkgOutputs, budget: pkgBudget } of packages) {
+    console.log(`\n📦 ${t('packageRules', pkg.path, frameworkLabel(pkg.framework), categories.length)}`);
+    for (const output of pkgOutputs) {
+      const exists = existsSync(join(cwd, output.path));
+      console.log(`  ${exists ? t('dryRunWouldUpdate', output.path) : t('dryRunWouldCreate', output.path)}`);
+    }
+    console.log(`  ${t('dryRunTokens', pkgBudget.tokens, pkgBudget.maxTokens)}`);
+    printBudget(`${adapter.name} (${pkg.path})`, pkgBudget);
   }
 
-  const files = adapter.formatMultiple(templates, options);
-  let count = 0;
+  console.log(`── ${t('dryRunApply')} ───────────────────\n`);
+}
 
-  for (const [filename, content] of files) {
-    const filePath = join(rulesDir, filename);
-    await writeFile(filePath, content, 'utf-8');
-    count++;
+/**
+ * Regenerate every selected tool's output in memory and compare it with the disk
+ * Without a project config or selection flags (fromManifest), each tool is regenerated
+ * from the selection the manifest recorded for it, so interactive and subset runs
+ * are checked against what they wrote
+ * Returns true when nothing drifted
+ */
+async function checkRules(preset, fromManifest, version) {
+  const cwd = process.cwd();
+  const recorded = fromManifest ? recordedPresets(await readManifest(cwd)) : [];
+  const presets = recorded.length > 0 ? recorded : [preset];
+  await loadPlugins(presets.every((item) => item.tools) ? presets.flatMap((item) => item.tools) : null);
+  const state = detectProjectState(cwd);
+  const configs = presets.map((item) => resolveConfig(item, state));
+
+  console.log(`\n🔍 ${t('driftChecking', version)}`);
+
+  let checked = 0;
+  const drift = [];
+  for (const config of configs) {
+    const templates = applySuppressions(
+      await loadTemplates(config.categories, config.rulesLang),
+      config.suppress
+    );
+    printMissingTemplates(config.categories, templates);
+    for (const { outputs } of renderTools(cwd, config, templates, version)) {
+      checked += outputs.length;
+      drift.push(...(await checkDrift(cwd, outputs, version)));
+    }
   }
 
-  console.log(`📝 ${t('generated', count, adapter.rulesDir)}`);
-
-  // 2. Add/update reference in main file
-  const mainPath = join(cwd, adapter.outputPath);
-  const mainDir = dirname(mainPath);
+  for (const item of drift) {
+    const reason =
+      item.status === 'outdated'
+        ? t('driftOutdated', item.version)
+        : t(item.status === 'missing' ? 'driftMissing' : 'driftModified');
+    console.log(`  ✗ ${item.path} - ${reason}`);
+  }
 
-  if (!existsSync(mainDir)) {
-    await mkdir(mainDir, { recursive: true });
+  if (drift.length > 0) {
+    console.log(`\n❌ ${t('driftFound', drift.length)}\n`);
+    return false;
   }
 
-  const refContent = adapter.formatReference(config.categories, options);
+  console.log(`\n✅ ${t('driftClean', checked)}\n`);
+  return true;
+}
+
+/**
+ * Scan the project (or the given paths) for code matching what the selected rules forbid
+ * and print the findings as text, JSON or SARIF
+ * Returns true when nothing was found
+ */
+async function scanCode(flags, preset, version) {
+  const format = flags.format || 'text';
+  if (!SCAN_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown --format "${format}". Expected one of: ${SCAN_FORMATS.join(', ')}`);
+  }
 
-  if (existsSync(mainPath) && adapter.merge) {
-    const existing = await readFile(mainPath, 'utf-8');
-    const merged = adapter.merge(existing, refContent);
-    await writeFile(mainPath, merged, 'utf-8');
-    console.log(`📝 ${t('refUpdated', adapter.outputPath)}`);
+  const cwd = process.cwd();
+  const config = preset ? resolveConfig(preset, detectProjectState(cwd)) : null;
+  const result = await scanProject(cwd, {
+    paths: flags.paths,
+    categories: config?.categories,
+    suppress: config?.suppress,
+  });
+
+  if (format === 'json') {
+    console.log(formatScanJson(result, version));
+  } else if (format === 'sarif') {
+    console.log(formatSarif(result, version));
   } else {
-    await writeFile(mainPath, refContent, 'utf-8');
-    console.log(`📝 ${t('refCreated', adapter.outputPath)}`);
+    printFindings(result);
   }
+  return result.findings.length === 0;
 }
 
-function dryRunPreview(adapter, toolName, config, templates, options, cwd) {
-  console.log(`\n── ${t('dryRunTitle')} (${adapter.name}) ──────────────────`);
-  console.log(`${t('dryRunFramework')}  ${config.framework}`);
-  console.log(`${t('dryRunCategories')} ${config.categories.length}`);
-
-  const useDirectory = shouldUseDirectory(toolName, config.outputMode);
-
-  if (useDirectory) {
-    const files = adapter.formatMultiple(templates, options);
-    console.log(`\n${t('dryRunWouldGenerate', files.size, adapter.rulesDir)}`);
-    for (const [filename] of files) {
-      console.log(`  - ${filename}`);
+/**
+ * Findings grouped by category and rule, each with its location and the offending line
+ */
+function printFindings(result) {
+  console.log(`\n🔍 ${t('scanChecking', result.files)}`);
+
+  let category = null;
+  for (const rule of Object.values(result.rules)) {
+    if (rule.category !== category) {
+      category = rule.category;
+      console.log(`\n${rule.owasp}: ${rule.categoryTitle}`);
     }
-    console.log(`\n${t('dryRunWouldUpdate', adapter.outputPath)} (reference only)`);
-  } else if (DIRECTORY_NATIVE_TOOLS.includes(toolName)) {
-    const files = adapter.formatMultiple(templates, options);
-    console.log(`\n${t('dryRunWouldGenerate', files.size, adapter.outputDir)}`);
-    for (const [filename] of files) {
-      console.log(`  - ${filename}`);
+    console.log(`  ${rule.id} ${rule.title}`);
+    for (const finding of result.findings.filter((item) => item.rule === rule.id)) {
+      console.log(`    ✗ ${finding.file}:${finding.line}:${finding.column} - ${finding.message}`);
+      console.log(`      ${finding.snippet}`);
     }
-  } else {
-    const outputPath = join(cwd, adapter.outputPath);
-    const content = adapter.format(templates, options);
-    const exists = existsSync(outputPath);
-    console.log(
-      `\n${exists ? t('dryRunWouldUpdate', adapter.outputPath) : t('dryRunWouldCreate', adapter.outputPath)}`
-    );
-    console.log(t('dryRunSize', (content.length / 1024).toFixed(1)));
   }
 
-  console.log(`── ${t('dryRunApply')} ───────────────────\n`);
+  if (result.findings.length > 0) {
+    const files = new Set(result.findings.map((finding) => finding.file)).size;
+    console.log(`\n❌ ${t('scanFound', result.findings.length, files)}\n`);
+  } else {
+    console.log(`\n✅ ${t('scanClean', result.files)}\n`);
+  }
 }
 
-async function removeRules() {
+/**
+ * --remove: delete what the manifest says we wrote, leaving hand-edited files alone
+ */
+async function removeRules(force) {
   const cwd = process.cwd();
-  const SECTION_START = '<!-- js-secure-coding:start -->';
-  const SECTION_END = '<!-- js-secure-coding:end -->';
-  let removed = 0;
-
-  // 1. Clean markers from single-file tools
-  const singleFiles = ['CLAUDE.md', '.github/copilot-instructions.md', 'AGENTS.md'];
-  for (const file of singleFiles) {
-    const filePath = join(cwd, file);
-    if (!existsSync(filePath)) continue;
-    const content = await readFile(filePath, 'utf-8');
-    if (!content.includes(SECTION_START)) continue;
-
-    const before = content.substring(0, content.indexOf(SECTION_START));
-    const after = content.substring(
-      content.indexOf(SECTION_END) + SECTION_END.length
-    );
-    const cleaned = (before.trimEnd() + '\n' + after.trimStart()).trim();
+  const manifest = await readManifest(cwd);
+
+  await loadPlugins(manifest ? [...new Set(Object.values(manifest.files).map((entry) => entry.tool))] : null);
+  if (!manifest) {
+    await removeUnmanagedRules(cwd);
+    return;
+  }
 
-    if (cleaned) {
-      await writeFile(filePath, cleaned + '\n', 'utf-8');
-      console.log(`🗑️  ${t('removedMarkers', file)}`);
+  const remaining = { version: manifest.version, tools: manifest.tools, files: {} };
+  const entries = [];
+  const deletedByDir = new Map();
+  const droppedByTool = new Map();
+
+  for (const [path, entry] of Object.entries(manifest.files)) {
+    const planned = await planRemoval(cwd, path, entry, force);
+
+    if (planned?.action === 'skip') {
+      remaining.files[path] = entry;
+      console.log(`⚠️  ${t('keptModified', path)}`);
+      continue;
+    }
+    if (planned?.action !== 'update') {
+      droppedByTool.set(entry.tool, [...(droppedByTool.get(entry.tool) || []), path]);
+    }
+    if (!planned) continue;
+
+    entries.push(planned);
+    if (planned.action === 'update') {
+      console.log(`🗑️  ${t('removedMarkers', path)}`);
+    } else if (entry.section || !path.includes('/')) {
+      console.log(`🗑️  ${t('removedFile', path)}`);
     } else {
-      const { unlink } = await import('node:fs/promises');
-      await unlink(filePath);
-      console.log(`🗑️  ${t('removedFile', file)}`);
+      const dir = dirname(path);
+      deletedByDir.set(dir, (deletedByDir.get(dir) || 0) + 1);
     }
-    removed++;
   }
 
-  // 2. Remove security-* files from rule directories
-  const ruleDirs = [
-    { dir: '.cursor/rules', ext: '.mdc' },
-    { dir: '.windsurf/rules', ext: '.md' },
-    { dir: '.claude/rules', ext: '.md' },
-    { dir: '.github/instructions', ext: '.md' },
-  ];
+  for (const [dir, count] of deletedByDir) {
+    console.log(`🗑️  ${t('removedDir', count, dir)}`);
+  }
 
-  for (const { dir, ext } of ruleDirs) {
-    const dirPath = join(cwd, dir);
-    if (!existsSync(dirPath)) continue;
+  for (const [tool, paths] of droppedByTool) {
+    const config = adapters[tool] && (await planToolConfig(adapters[tool], cwd, [], paths));
+    if (config) {
+      entries.push({ ...config, role: 'config' });
+      console.log(`📝 ${t('unregisteredIn', config.path)}`);
+    }
+  }
 
-    const { readdir, unlink } = await import('node:fs/promises');
-    const files = await readdir(dirPath);
-    const securityFiles = files.filter(
-      (f) => f.startsWith('security-') && f.endsWith(ext)
-    );
+  await apply({ cwd, entries });
+  await writeManifest(cwd, remaining);
+  printRemoveSummary(entries.filter((entry) => entry.role !== 'config').length);
+}
 
-    for (const file of securityFiles) {
-      await unlink(join(dirPath, file));
-      removed++;
+/**
+ * Fallback for projects generated before the manifest existed:
+ * strip marker sections and delete only rule files named after a known category
+ */
+async function removeUnmanagedRules(cwd) {
+  const categories = getSecurityCategories().map((c) => c.value);
+  const entries = [];
+
+  for (const adapter of Object.values(adapters)) {
+    const dropped = [];
+
+    // 1. Clean markers from the tool's main file
+    const file = adapter.merge && adapter.outputPath;
+    if (file && existsSync(join(cwd, file))) {
+      const rest = removeSection(await readFile(join(cwd, file), 'utf-8'));
+
+      if (rest) {
+        entries.push({ path: file, action: 'update', content: rest + '\n' });
+        console.log(`🗑️  ${t('removedMarkers', file)}`);
+      } else if (rest === '') {
+        entries.push({ path: file, action: 'delete', content: null });
+        console.log(`🗑️  ${t('removedFile', file)}`);
+        dropped.push(file);
+      }
     }
 
-    if (securityFiles.length > 0) {
-      console.log(`🗑️  ${t('removedDir', securityFiles.length, dir)}`);
+    // 2. Remove security-<category> files from its rule directories
+    for (const dir of [adapter.outputDir, adapter.rulesDir].filter(Boolean)) {
+      const dirPath = join(cwd, dir);
+      if (!existsSync(dirPath) || !statSync(dirPath).isDirectory()) continue;
+
+      const securityFiles = (await readdir(dirPath)).filter((name) =>
+        categories.some((category) => name.startsWith(`security-${category}.`))
+      );
+
+      for (const name of securityFiles) {
+        entries.push({ path: `${dir}/${name}`, action: 'delete', content: null });
+        dropped.push(`${dir}/${name}`);
+      }
+
+      if (securityFiles.length > 0) {
+        console.log(`🗑️  ${t('removedDir', securityFiles.length, dir)}`);
+      }
+    }
+
+    const config = await planToolConfig(adapter, cwd, [], dropped);
+    if (config) {
+      entries.push({ ...config, role: 'config' });
+      console.log(`📝 ${t('unregisteredIn', config.path)}`);
     }
   }
 
+  await apply({ cwd, entries });
+  printRemoveSummary(entries.filter((entry) => entry.role !== 'config').length);
+}
+
+function printRemoveSummary(removed) {
   if (removed === 0) {
     console.log(`\n${t('noRulesFound')}`);
   } else {
@@ -309,32 +552,82 @@ ${t('helpDesc')}
 
 Usage:
   npx secure-coding-rules              Interactive mode (multi-tool select)
-  npx secure-coding-rules --yes        Smart defaults
+  npx secure-coding-rules --yes        Smart defaults (or project config)
   npx secure-coding-rules --check      Project status
+  npx secure-coding-rules --check --ci Fail if generated rules drifted
   npx secure-coding-rules --dry-run    Preview
-  npx secure-coding-rules --remove     Remove all generated rules
+  npx secure-coding-rules --remove     Remove the rules this tool generated
+  npx secure-coding-rules scan [paths] Scan JS/TS code for insecure patterns
   npx secure-coding-rules --lang ko    한국어로 실행
+  npx secure-coding-rules --tools cursor,claude --categories injection,authentication
 
 Options:
-  -y, --yes      Non-interactive mode
-  --check        Show detected AI tools and frameworks
-  --dry-run      Preview without writing files
-  --remove       Remove all security rules (clean uninstall)
-  --lang <code>  Language: en (default), ko
-  -h, --help     Show this help
-  -v, --version  Show version
+  -y, --yes                 Non-interactive mode
+  --tools <list>            AI tools, comma-separated
+                            (${Object.keys(adapters).join(',')})
+  --categories <list>       Security categories, comma-separated (default: all)
+  --exclude <list>          Categories to leave out, comma-separated
+  --framework <name>        react, vue, node (Express), fastify, koa, nestjs or vanilla
+                            (default: detected)
+  --output-mode <mode>      inline or directory (default: inline)
+  --templates <dir>         Directory of custom rule templates to add
+  --check                   Show detected AI tools, framework and stack
+  --check --ci              Exit non-zero if generated rules are missing, stale or hand-edited
+  --dry-run                 Preview without writing files
+  --remove                  Remove generated security rules (clean uninstall)
+  --force                   Also overwrite or remove generated files edited by hand
+  --lang <code>             Language: en (default), ko, ja, zh
+                            (also used for the generated rules)
+  --rules-lang <code>       Language of the generated rules only (default: en)
+  --max-tokens <budget>     Token budget per tool, e.g. 8000 or 8000,claude=4000
+                            (trims examples, then WHY lines, then categories)
+  --detail <level>          minimal, standard or full, e.g. minimal or minimal,cursor=full
+                            (default: each tool's own level)
+  --format <format>         scan output: text (default), json or sarif
+  scan --ci                 Exit non-zero if the scan finds anything
+  --workspaces              Also write per-package rules in a monorepo (Claude Code,
+                            AGENTS.md, Gemini CLI and Cursor read nested rule files)
+  -h, --help                Show this help
+  -v, --version             Show version
+
+  Any of --tools, --categories, --exclude, --framework or --output-mode
+  runs non-interactively and overrides the project config.
 
 Output Modes:
   inline         Embed all rules in main file (e.g. CLAUDE.md)
   directory      Separate rule files + reference in main file
                  (e.g. .claude/rules/security-*.md + CLAUDE.md reference)
 
+Project Config:
+  secure-coding-rules.config.json (or "secureCodingRules" in package.json)
+  is used instead of prompting when present:
+  { "tools": ["claude", "cursor"], "outputMode": "inline",
+    "framework": "react", "categories": [...], "exclude": ["csp"],
+    "templatesDir": "./security-rules",
+    "suppress": { "A05-R7": "No user-supplied regex patterns" },
+    "rulesLang": "ko", "maxTokens": { "default": 8000, "claude": 4000 },
+    "detail": { "default": "minimal", "cursor": "full" }, "workspaces": true,
+    "adapters": { "inhouse": "./tools/inhouse-adapter.mjs" } }
+
+Adapters from "adapters" or from installed secure-coding-rules-adapter-<tool>
+packages become available as --tools <tool>.
+
+Generated files are recorded in .secure-coding-rules.lock.json (commit it).
+Regeneration and --remove only touch files listed there and skip files that
+were edited after generation.
+
 Supported AI Tools (select multiple):
   - Claude Code    → CLAUDE.md or .claude/rules/
   - Cursor         → .cursor/rules/*.mdc
   - Windsurf       → .windsurf/rules/*.md
-  - GitHub Copilot → .github/copilot-instructions.md or .github/instructions/
+  - GitHub Copilot → .github/copilot-instructions.md or .github/instructions/*.instructions.md
   - AGENTS.md      → AGENTS.md
+  - Cline          → .clinerules/*.md
+  - Roo Code       → .roo/rules/*.md
+  - Continue       → .continue/rules/*.md
+  - Gemini CLI     → GEMINI.md or .gemini/rules/
+  - Aider          → CONVENTIONS.md or conventions/ (added to .aider.conf.yml read:)
+  - ESLint         → eslint.config.js (lint rules, only with --tools eslint)
 
 OWASP Top 10 2025: A01-A10 + Frontend (XSS, CSRF, CSP, State)
 
@@ -2,13 +2,16 @@
  * Template loader - reads modular security rule files
  */
 
-import { readFile } from 'node:fs/promises';
+import { readFile, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
-import { dirname, join } from 'node:path';
+import { dirname, join, resolve } from 'node:path';
+import { ConfigError, TemplateError } from './errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const TEMPLATES_DIR = join(__dirname, 'templates');
+const LOCALES_DIR = join(TEMPLATES_DIR, 'locales');
 
 const CATEGORY_DIRS = {
   // OWASP Top 10 2025
@@ -33,40 +36,492 @@ const CATEGORY_DIRS = {
   'react-security': 'frameworks',
   'express-security': 'frameworks',
   'nextjs-security': 'frameworks',
+  'vue-security': 'frameworks',
+  'nuxt-security': 'frameworks',
+  'fastify-security': 'frameworks',
+  'koa-security': 'frameworks',
+  'nestjs-security': 'frameworks',
 };
 
+// Organization templates registered from a local directory: Map<id, { path, info }>
+const customTemplates = new Map();
+
+const CUSTOM_ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Register custom templates from a directory of markdown files
+ * Each file needs frontmatter with id and title (group and code are optional)
+ * Returns the registered category ids
+ */
+export async function loadCustomTemplates(dir) {
+  const dirPath = resolve(dir);
+  let entries;
+  try {
+    entries = await readdir(dirPath);
+  } catch {
+    throw new TemplateError(`Custom templates directory not found: ${dir}`);
+  }
+
+  const ids = [];
+  for (const file of entries.filter((f) => f.endsWith('.md')).sort()) {
+    const filePath = join(dirPath, file);
+    const { data, body } = parseFrontmatter(await readFile(filePath, 'utf-8'));
+
+    if (!data.id || !data.title) {
+      throw new TemplateError(`${file}: custom template frontmatter needs "id" and "title"`);
+    }
+    if (!CUSTOM_ID_RE.test(data.id)) {
+      throw new TemplateError(`${file}: id "${data.id}" must be lowercase letters, digits and dashes`);
+    }
+    if (CATEGORY_DIRS[data.id]) {
+      throw new TemplateError(`${file}: id "${data.id}" is already used by a built-in template`);
+    }
+    const existing = customTemplates.get(data.id);
+    if (existing && existing.path !== filePath) {
+      throw new TemplateError(`${file}: id "${data.id}" is already used by ${existing.path}`);
+    }
+    if (!/^## Rules\b/m.test(body)) {
+      throw new TemplateError(`${file}: custom template must contain a "## Rules" section`);
+    }
+
+    customTemplates.set(data.id, {
+      path: filePath,
+      info: {
+        owasp: data.code || data.id.toUpperCase(),
+        title: data.title,
+        group: data.group || 'custom',
+      },
+    });
+    ids.push(data.id);
+  }
+
+  return ids;
+}
+
+/**
+ * Forget the registered custom templates, so the next project starts from the built-in ones
+ */
+export function resetCustomTemplates() {
+  customTemplates.clear();
+}
+
+/**
+ * Registered custom categories as prompt options
+ */
+export function getCustomCategories() {
+  return [...customTemplates].map(([id, { info }]) => ({
+    label: `${info.owasp}: ${info.title}`,
+    value: id,
+  }));
+}
+
+/**
+ * Split `---` frontmatter (simple `key: value` pairs) from markdown content
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: content };
+
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    const key = line.slice(0, idx).trim();
+    const value = line.slice(idx + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (key) data[key] = value;
+  }
+
+  return { data, body: content.slice(match[0].length).replace(/^\s*\n/, '') };
+}
+
 /**
  * Load a single template file by category name
+ * lang picks a translation when one exists; custom templates are used as written
+ * Returns null when the category has no readable template
  */
-export async function loadTemplate(category) {
+export async function loadTemplate(category, lang = 'en') {
+  const custom = customTemplates.get(category);
+  if (custom) {
+    try {
+      return parseFrontmatter(await readFile(custom.path, 'utf-8')).body;
+    } catch {
+      return null;
+    }
+  }
+
   const subdir = CATEGORY_DIRS[category];
-  if (!subdir) {
-    console.warn(`Warning: Template not found: ${category}`);
-    return null;
+  if (!subdir) return null;
+
+  // Translations live under locales/<lang>/ with the English layout
+  if (lang !== 'en') {
+    try {
+      return await readFile(join(LOCALES_DIR, lang, subdir, `${category}.md`), 'utf-8');
+    } catch {
+      // No translation for this template - fall back to English
+    }
   }
+
   const filePath = join(TEMPLATES_DIR, subdir, `${category}.md`);
   try {
     return await readFile(filePath, 'utf-8');
   } catch {
-    console.warn(`Warning: Template not found: ${category}`);
     return null;
   }
 }
 
 /**
- * Load multiple templates and return as Map<category, content>
+ * Built-in categories that have no translation for lang and are written in English
+ * (translations cover the core templates; custom templates are always used as written)
+ */
+export function untranslatedCategories(categories, lang) {
+  if (lang === 'en') return [];
+  return categories.filter((category) => {
+    const subdir = CATEGORY_DIRS[category];
+    return subdir && !existsSync(join(LOCALES_DIR, lang, subdir, `${category}.md`));
+  });
+}
+
+/**
+ * Load multiple templates and return as Map<category, Template>
+ * Missing translations fall back to English per template; categories without a
+ * readable template are left out, for the caller to report
  */
-export async function loadTemplates(categories) {
+export async function loadTemplates(categories, lang = 'en') {
   const templates = new Map();
   const results = await Promise.all(
     categories.map(async (cat) => {
-      const content = await loadTemplate(cat);
+      const content = await loadTemplate(cat, lang);
       return [cat, content];
     })
   );
   for (const [cat, content] of results) {
-    if (content) templates.set(cat, content);
+    if (content) templates.set(cat, parseConditionalTemplate(content, cat));
+  }
+  return templates;
+}
+
+/**
+ * Parse a template with its conditional blocks resolved for no particular stack
+ * (every if is false); templates that have blocks keep their markdown as source
+ * so resolveTemplates can render them for the project's stack
+ */
+function parseConditionalTemplate(content, category) {
+  const template = parseTemplate(resolveConditionals(content, {}, category), category);
+  if (HAS_CONDITIONALS_RE.test(content)) template.source = content;
+  return template;
+}
+
+// Stack report keys (see stack.js) that conditional blocks can test
+const CONDITION_KEYS = ['framework', 'typescript', 'runtime', 'orm', 'auth', 'validation', 'bundler'];
+const DIRECTIVE_RE = /^\s*<!--\s*(if|elif|else|endif)\b\s*(.*?)\s*-->\s*$/;
+const HAS_CONDITIONALS_RE = /^\s*<!--\s*if\b/m;
+
+/**
+ * Keep the lines of conditional blocks that match the stack context and drop the rest:
+ *   <!-- if orm=prisma -->  ...  <!-- elif orm=mongoose|typeorm -->  ...  <!-- else -->  ...  <!-- endif -->
+ * key=a|b matches when the context value is one of them (any detected one for lists such as
+ * orm), key!=a|b when it is none of them; typescript takes true or false. Blocks can nest.
+ * Rule headings cannot be conditional, so rule ids are the same for every stack.
+ * context: the stack report with the project's framework, e.g. { framework: 'react', orm: ['prisma'] }
+ */
+export function resolveConditionals(content, context = {}, category = 'template') {
+  const fail = (lineNo, message) => {
+    throw new TemplateError(`${category}: ${message} on line ${lineNo}`);
+  };
+
+  const blocks = [];
+  const kept = [];
+  let section = null;
+
+  content.replace(/\r\n/g, '\n').split('\n').forEach((line, i) => {
+    const lineNo = i + 1;
+    const directive = line.match(DIRECTIVE_RE);
+    const block = blocks[blocks.length - 1];
+    const active = blocks.every((b) => b.active);
+
+    if (!directive) {
+      if (line.startsWith('## ')) section = line.slice(3).trim();
+      if (block && section === 'Rules' && line.startsWith('### ')) {
+        fail(lineNo, 'rule headings cannot be inside a conditional block');
+      }
+      if (active) kept.push(line);
+      return;
+    }
+
+    const [, keyword, condition] = directive;
+    if (keyword === 'if') {
+      const matched = matchCondition(condition, context, () => fail(lineNo, `invalid condition "${condition}"`));
+      blocks.push({ active: matched, taken: matched, hasElse: false });
+      return;
+    }
+    if (!block) fail(lineNo, `"${keyword}" without "if"`);
+    if (keyword === 'endif') {
+      blocks.pop();
+    } else if (block.hasElse) {
+      fail(lineNo, `"${keyword}" after "else"`);
+    } else if (keyword === 'elif') {
+      const matched = matchCondition(condition, context, () => fail(lineNo, `invalid condition "${condition}"`));
+      block.active = !block.taken && matched;
+      block.taken ||= matched;
+    } else {
+      block.active = !block.taken;
+      block.hasElse = true;
+    }
+  });
+
+  if (blocks.length > 0) {
+    throw new TemplateError(`${category}: conditional block is missing "<!-- endif -->"`);
   }
+  return kept.join('\n');
+}
+
+function matchCondition(condition, context, invalid) {
+  const match = condition.match(/^([a-z]+)\s*(!?=)\s*([\w@./-]+(?:\|[\w@./-]+)*)$/);
+  if (!match || !CONDITION_KEYS.includes(match[1])) invalid();
+
+  const [, key, operator, list] = match;
+  const values = list.split('|');
+  const actual = context[key];
+  const found = (Array.isArray(actual) ? actual : [actual])
+    .filter((value) => value !== undefined && value !== null)
+    .some((value) => values.includes(String(value)));
+  return operator === '=' ? found : !found;
+}
+
+/**
+ * Re-resolve templates that have conditional blocks for a stack context
+ * (see resolveConditionals), keeping their suppressed rules out
+ * Returns a new Map; templates without blocks are passed through
+ */
+export function resolveTemplates(templates, context) {
+  const resolved = new Map();
+  for (const [category, template] of templates) {
+    if (!template.source) {
+      resolved.set(category, template);
+      continue;
+    }
+    const next = parseTemplate(resolveConditionals(template.source, context, category), category);
+    const suppressed = new Set(template.exceptions.map((exception) => exception.id));
+    next.rules = next.rules.filter((rule) => !suppressed.has(rule.id));
+    next.exceptions = template.exceptions;
+    resolved.set(category, next);
+  }
+  return resolved;
+}
+
+/**
+ * @typedef {Object} Rule
+ * @property {number} number   Position in the template (1-based)
+ * @property {string|null} id  Stable identifier, e.g. "A05-R4" (null for unknown categories)
+ * @property {string} title
+ * @property {string} do
+ * @property {string} dont
+ * @property {string} why
+ *
+ * @typedef {Object} Example
+ * @property {'bad'|'good'|'other'} kind
+ * @property {string} title    Heading, e.g. "Bad Practice"
+ * @property {Array<{lang: string, code: string}|{text: string}>} blocks
+ *
+ * @typedef {Object} Template
+ * @property {string} title
+ * @property {string[]} summary    Blockquote lines under the title
+ * @property {Rule[]} rules
+ * @property {Example[]} examples
+ * @property {string[]} checklist
+ * @property {Array<{id: string, title: string, reason: string}>} exceptions  Suppressed rules
+ * @property {Array<{heading: string, body: string}>} sections  Any other ## sections, kept verbatim
+ * @property {string} [source]  Markdown of a template with conditional blocks (see resolveTemplates)
+ */
+
+const RULE_FIELDS = { 'DO': 'do', "DON'T": 'dont', 'WHY': 'why' };
+
+/**
+ * Parse template markdown into a Template
+ * Throws on lines the model has no place for, so no tool's output can silently lose them
+ */
+export function parseTemplate(content, category = 'template') {
+  const template = {
+    title: '',
+    summary: [],
+    rules: [],
+    examples: [],
+    checklist: [],
+    sections: [],
+    exceptions: [],
+  };
+
+  const fail = (lineNo, line, where) => {
+    throw new TemplateError(
+      `${category}: unexpected line ${lineNo} in ${where}: "${line.trim()}"`
+    );
+  };
+
+  let section = null;
+  let rule = null;
+  let field = null;
+  let example = null;
+  let fence = null;
+  let extra = null;
+
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+
+    // Fenced code inside Code Examples
+    if (fence) {
+      if (line.startsWith('```')) {
+        example.blocks.push({ lang: fence.lang, code: fence.lines.join('\n') });
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      return;
+    }
+
+    if (line.startsWith('## ')) {
+      const heading = line.slice(3).trim();
+      rule = null;
+      field = null;
+      example = null;
+      extra = null;
+      if (heading === 'Rules') section = 'rules';
+      else if (heading === 'Code Examples') section = 'examples';
+      else if (heading === 'Quick Checklist') section = 'checklist';
+      else {
+        section = 'extra';
+        extra = { heading, lines: [] };
+        template.sections.push(extra);
+      }
+      return;
+    }
+
+    if (section === 'extra') {
+      extra.lines.push(line);
+      return;
+    }
+
+    if (line.trim() === '') {
+      field = null;
+      return;
+    }
+
+    if (section === null) {
+      if (line.startsWith('# ') && !template.title) template.title = line.slice(2).trim();
+      else if (line.startsWith('>')) template.summary.push(line.replace(/^>\s?/, ''));
+      else fail(lineNo, line, 'header');
+      return;
+    }
+
+    if (section === 'rules') {
+      const heading = line.match(/^### (?:(\d+)\.\s*)?(.+)$/);
+      if (heading) {
+        const number = template.rules.length + 1;
+        rule = {
+          number,
+          id: ruleId(category, number),
+          title: heading[2].trim(),
+          do: '',
+          dont: '',
+          why: '',
+        };
+        template.rules.push(rule);
+        field = null;
+        return;
+      }
+      const bullet = line.match(/^- \*\*(DO|DON'T|WHY)\*\*:\s*(.*)$/);
+      if (bullet && rule) {
+        field = RULE_FIELDS[bullet[1]];
+        rule[field] = bullet[2].trim();
+        return;
+      }
+      if (field && /^\s+\S/.test(line)) {
+        rule[field] += ` ${line.trim()}`;
+        return;
+      }
+      fail(lineNo, line, 'Rules');
+    }
+
+    if (section === 'examples') {
+      const heading = line.match(/^### (.+)$/);
+      if (heading) {
+        const title = heading[1].trim();
+        const kind = /bad/i.test(title) ? 'bad' : /good/i.test(title) ? 'good' : 'other';
+        example = { kind, title, blocks: [] };
+        template.examples.push(example);
+        return;
+      }
+      if (!example) fail(lineNo, line, 'Code Examples');
+      if (line.startsWith('```')) {
+        fence = { lang: line.slice(3).trim(), lines: [] };
+        return;
+      }
+      const last = example.blocks[example.blocks.length - 1];
+      if (last?.text !== undefined && lines[i - 1].trim() !== '') {
+        last.text += `\n${line}`;
+      } else {
+        example.blocks.push({ text: line });
+      }
+      return;
+    }
+
+    if (section === 'checklist') {
+      const item = line.match(/^- \[[ xX]\] (.+)$/);
+      if (item) {
+        template.checklist.push(item[1].trim());
+        return;
+      }
+      fail(lineNo, line, 'Quick Checklist');
+    }
+  });
+
+  if (fence) {
+    throw new TemplateError(`${category}: unterminated code block in Code Examples`);
+  }
+
+  template.sections = template.sections.map(({ heading, lines: body }) => ({
+    heading,
+    body: body.join('\n').trim(),
+  }));
+
+  return template;
+}
+
+/**
+ * Stable rule identifier: category code plus rule position, e.g. "A05-R4"
+ */
+export function ruleId(category, number) {
+  const { owasp } = getCategoryInfo(category);
+  return owasp === '??' ? null : `${owasp}-R${number}`;
+}
+
+/**
+ * Drop suppressed rules from loaded templates, recording each justification
+ * on the template so adapters can tell the AI assistant about the exception
+ * suppressions: { [ruleId]: justification }
+ */
+export function applySuppressions(templates, suppressions = {}) {
+  const pending = new Set(Object.keys(suppressions));
+
+  for (const template of templates.values()) {
+    template.rules = template.rules.filter((rule) => {
+      if (!pending.has(rule.id)) return true;
+      pending.delete(rule.id);
+      template.exceptions.push({ id: rule.id, title: rule.title, reason: suppressions[rule.id] });
+      return false;
+    });
+  }
+
+  // Ids left over belong to unselected categories or don't exist at all
+  const categories = [...Object.keys(CATEGORY_DIRS), ...customTemplates.keys()];
+  for (const id of pending) {
+    const code = id.replace(/-R\d+$/, '');
+    const category = categories.find((c) => getCategoryInfo(c).owasp === code);
+    if (!category || templates.has(category)) {
+      throw new ConfigError(`Unknown rule id in suppress: "${id}"`);
+    }
+  }
+
   return templates;
 }
 
@@ -74,6 +529,9 @@ export async function loadTemplates(categories) {
  * Get category metadata
  */
 export function getCategoryInfo(category) {
+  const custom = customTemplates.get(category);
+  if (custom) return custom.info;
+
   const info = {
     'access-control': { owasp: 'A01', title: 'Broken Access Control', group: 'core' },
     'security-config': { owasp: 'A02', title: 'Security Misconfiguration', group: 'core' },
@@ -93,6 +551,11 @@ export function getCategoryInfo(category) {
     'react-security': { owasp: 'FW-01', title: 'React Security', group: 'frameworks' },
     'express-security': { owasp: 'FW-02', title: 'Express Security', group: 'frameworks' },
     'nextjs-security': { owasp: 'FW-03', title: 'Next.js Security', group: 'frameworks' },
+    'vue-security': { owasp: 'FW-04', title: 'Vue Security', group: 'frameworks' },
+    'nuxt-security': { owasp: 'FW-05', title: 'Nuxt Security', group: 'frameworks' },
+    'fastify-security': { owasp: 'FW-06', title: 'Fastify Security', group: 'frameworks' },
+    'koa-security': { owasp: 'FW-07', title: 'Koa Security', group: 'frameworks' },
+    'nestjs-security': { owasp: 'FW-08', title: 'NestJS Security', group: 'frameworks' },
   };
   return info[category] || { owasp: '??', title: category, group: 'unknown' };
 }
@@ -0,0 +1,129 @@
+/**
+ * Generation manifest - records every path this tool wrote, with a content hash,
+ * so --remove and regeneration only touch tool-owned files, and the selection each
+ * tool was generated from, so --check --ci can regenerate it without a project config
+ */
+
+import { readFile, writeFile, unlink } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+import { extractSection } from './drift.js';
+import { budgetFor } from './budget.js';
+import { detailFor } from './render.js';
+import { ManifestError } from './errors.js';
+
+export const MANIFEST_FILE = '.secure-coding-rules.lock.json';
+
+/**
+ * Read the manifest from cwd
+ * Returns { version, tools: { [tool]: selection }, files: { [path]: { tool, section, hash, version } } }
+ * or null (see toolSelection for what a selection holds)
+ */
+export async function readManifest(cwd) {
+  const manifestPath = join(cwd, MANIFEST_FILE);
+  if (!existsSync(manifestPath)) return null;
+
+  try {
+    const data = JSON.parse(await readFile(manifestPath, 'utf-8'));
+    return { version: data.version, tools: data.tools || {}, files: data.files || {} };
+  } catch (err) {
+    throw new ManifestError(`Could not parse ${MANIFEST_FILE}: ${err.message}`);
+  }
+}
+
+/**
+ * Write the manifest with stable key order, or delete it when nothing is owned anymore
+ */
+export async function writeManifest(cwd, manifest) {
+  const manifestPath = join(cwd, MANIFEST_FILE);
+  const content = formatManifest(manifest);
+
+  if (content === null) {
+    if (existsSync(manifestPath)) await unlink(manifestPath);
+    return;
+  }
+
+  await writeFile(manifestPath, content, 'utf-8');
+}
+
+/**
+ * Serialize the manifest with sorted tools and paths; null when it has no entries
+ * Selections of tools that no longer own a file are left out
+ */
+export function formatManifest(manifest) {
+  const paths = Object.keys(manifest.files).sort();
+  if (paths.length === 0) return null;
+
+  const files = {};
+  for (const path of paths) files[path] = manifest.files[path];
+  const owners = new Set(paths.map((path) => files[path].tool));
+  const tools = {};
+  for (const tool of Object.keys(manifest.tools || {}).sort()) {
+    if (owners.has(tool)) tools[tool] = manifest.tools[tool];
+  }
+  return JSON.stringify({ version: manifest.version, tools, files }, null, 2) + '\n';
+}
+
+/**
+ * What a tool's rules were generated from, out of a resolved config (see resolveConfig):
+ * { categories, framework, outputMode, rulesLang, maxTokens?, detail?, workspaces?, suppress? }
+ */
+export function toolSelection(config, tool) {
+  const selection = {
+    categories: config.categories,
+    framework: config.framework,
+    outputMode: config.outputMode,
+    rulesLang: config.rulesLang || 'en',
+  };
+  const maxTokens = budgetFor(config.maxTokens, tool);
+  const detail = detailFor(config.detail, tool);
+  if (maxTokens !== null) selection.maxTokens = maxTokens;
+  if (detail !== undefined) selection.detail = detail;
+  if (config.workspaces) selection.workspaces = true;
+  if (Object.keys(config.suppress || {}).length > 0) selection.suppress = config.suppress;
+  return selection;
+}
+
+/**
+ * One preset per tool recorded in the manifest, to regenerate exactly what was written
+ * (see resolveConfig); empty for manifests written before selections were recorded
+ */
+export function recordedPresets(manifest) {
+  return Object.entries(manifest?.tools || {}).map(([tool, selection]) => ({
+    tools: [tool],
+    categories: selection.categories,
+    framework: selection.framework,
+    outputMode: selection.outputMode,
+    rulesLang: selection.rulesLang,
+    maxTokens: selection.maxTokens !== undefined ? { [tool]: selection.maxTokens } : undefined,
+    detail: selection.detail !== undefined ? { [tool]: selection.detail } : undefined,
+    workspaces: selection.workspaces === true,
+    suppress: selection.suppress,
+  }));
+}
+
+/**
+ * Hash generated content; line endings and surrounding whitespace are ignored
+ */
+export function hashContent(content) {
+  const normalized = content.replace(/\r\n/g, '\n').trim();
+  return `sha256-${createHash('sha256').update(normalized).digest('hex')}`;
+}
+
+/**
+ * Compare a tool-owned path on disk with its manifest entry
+ * Returns 'missing' | 'unchanged' | 'modified'
+ */
+export async function ownedState(cwd, path, entry) {
+  const filePath = join(cwd, path);
+  if (!existsSync(filePath)) return 'missing';
+
+  let content = await readFile(filePath, 'utf-8');
+  if (entry.section) {
+    content = extractSection(content);
+    if (content === null) return 'missing';
+  }
+
+  return hashContent(content) === entry.hash ? 'unchanged' : 'modified';
+}
@@ -0,0 +1,114 @@
+/**
+ * Adapter plugins - third-party adapters declared under "adapters" in the project config
+ * or installed as secure-coding-rules-adapter-* packages
+ */
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { registerAdapter } from './adapters/index.js';
+import { AdapterError } from './errors.js';
+
+export const PLUGIN_PREFIX = 'secure-coding-rules-adapter-';
+
+const PLUGIN_PACKAGE_RE = /^(?:@[^/]+\/)?secure-coding-rules-adapter-([a-z][a-z0-9-]*)$/;
+
+// Plugins found for the project and not imported yet: key -> { cwd, spec, declared }
+const pending = new Map();
+
+/**
+ * Find the plugin adapters of the project in cwd without importing them
+ * declared maps tool keys to a module path (relative to cwd) or package name;
+ * installed secure-coding-rules-adapter-<key> packages are added automatically
+ * Replaces what an earlier call found; returns the tool keys found
+ */
+export async function findAdapterPlugins(cwd, declared = {}) {
+  const discovered = await findAdapterPackages(cwd);
+  pending.clear();
+
+  for (const [key, spec] of Object.entries({ ...discovered, ...declared })) {
+    if (typeof spec !== 'string' || spec.trim() === '') {
+      throw new AdapterError(`Adapter "${key}": expected a module path or package name`);
+    }
+    pending.set(key, { cwd, spec, declared: Object.hasOwn(declared, key) });
+  }
+
+  return [...pending.keys()];
+}
+
+/**
+ * Tool keys of plugins found but not imported yet, so tool names can be validated
+ * before the selection decides which plugins to import
+ */
+export function pendingPluginTools() {
+  return [...pending.keys()];
+}
+
+/**
+ * Import and register the found plugins for the given tools (null for all of them)
+ * A declared plugin that fails to import or breaks the contract throws; an installed
+ * package that was only discovered is skipped with a warning instead, so one broken
+ * package cannot stop a run
+ * Returns { loaded, warnings } with the registered tool keys and the skipped packages
+ */
+export async function loadAdapterPlugins(tools = null) {
+  const loaded = [];
+  const warnings = [];
+
+  for (const [key, { cwd, spec, declared }] of [...pending]) {
+    if (tools && !tools.includes(key)) continue;
+    pending.delete(key);
+
+    try {
+      const module = await importPlugin(key, cwd, spec);
+      registerAdapter(key, module.default ?? module, spec);
+      loaded.push(key);
+    } catch (err) {
+      if (declared) throw err;
+      warnings.push(err.message);
+    }
+  }
+
+  return { loaded, warnings };
+}
+
+/**
+ * Adapter packages listed in the project's dependencies: { [key]: packageName }
+ */
+export async function findAdapterPackages(cwd) {
+  const pkgPath = join(cwd, 'package.json');
+  if (!existsSync(pkgPath)) return {};
+
+  let pkg;
+  try {
+    pkg = JSON.parse(await readFile(pkgPath, 'utf-8'));
+  } catch {
+    // loadConfig reports unparsable package.json files
+    return {};
+  }
+
+  const found = {};
+  for (const name of Object.keys({ ...pkg.dependencies, ...pkg.devDependencies })) {
+    const match = name.match(PLUGIN_PACKAGE_RE);
+    if (match) found[match[1]] = name;
+  }
+  return found;
+}
+
+async function importPlugin(key, cwd, spec) {
+  try {
+    return await import(resolveSpecifier(cwd, spec));
+  } catch (err) {
+    throw new AdapterError(`Could not load adapter "${key}" from ${spec}: ${err.message}`);
+  }
+}
+
+function resolveSpecifier(cwd, spec) {
+  if (spec.startsWith('.') || isAbsolute(spec)) {
+    return pathToFileURL(resolve(cwd, spec)).href;
+  }
+  const require = createRequire(join(cwd, 'package.json'));
+  return pathToFileURL(require.resolve(spec)).href;
+}
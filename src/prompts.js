@@ -4,9 +4,13 @@
  */
 
 import { createInterface } from 'node:readline';
-import { existsSync, readFileSync } from 'node:fs';
+import { existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { t } from './i18n.js';
+import { getCustomCategories } from './loader.js';
+import { adapters, supportsDirectoryMode } from './adapters/index.js';
+import { detectWorkspaces } from './workspaces.js';
+import { detectStack, stackLabel, STACK_KINDS } from './stack.js';
 
 // ─── Readline helpers ────────────────────────────────────────────
 
@@ -70,21 +74,42 @@ async function confirm(question) {
 
 // ─── Constants ───────────────────────────────────────────────────
 
-export const AI_TOOLS = [
-  { label: 'Claude Code (CLAUDE.md)', value: 'claude' },
-  { label: 'Cursor (.cursor/rules/)', value: 'cursor' },
-  { label: 'Windsurf (.windsurf/rules/)', value: 'windsurf' },
-  { label: 'GitHub Copilot (.github/copilot-instructions.md)', value: 'copilot' },
-  { label: 'AGENTS.md (vendor-neutral)', value: 'agents' },
-];
+/**
+ * Registered AI tools (built-in and plugin adapters) as prompt options
+ */
+export function getAITools() {
+  return Object.entries(adapters).map(([value, adapter]) => ({
+    label: adapter.label,
+    value,
+  }));
+}
 
 export const FRAMEWORKS = [
   { label: 'React / Next.js', value: 'react' },
   { label: 'Vue / Nuxt', value: 'vue' },
   { label: 'Node.js / Express', value: 'node' },
+  { label: 'Fastify', value: 'fastify' },
+  { label: 'Koa', value: 'koa' },
+  { label: 'NestJS', value: 'nestjs' },
   { label: 'Vanilla JavaScript / TypeScript', value: 'vanilla' },
 ];
 
+// Server-side frameworks - frontend rules are not offered for these
+export const SERVER_FRAMEWORKS = ['node', 'fastify', 'koa', 'nestjs'];
+
+// Framework modules that belong to each framework
+const FRAMEWORK_CATEGORIES = {
+  react: ['react-security', 'nextjs-security'],
+  vue: ['vue-security', 'nuxt-security'],
+  node: ['express-security'],
+  fastify: ['fastify-security'],
+  koa: ['koa-security'],
+  nestjs: ['nestjs-security'],
+  vanilla: [],
+};
+
+const FRONTEND_CATEGORIES = ['xss-prevention', 'csrf-protection', 'csp', 'secure-state'];
+
 export const SECURITY_CATEGORIES = [
   { label: 'A01: Broken Access Control', value: 'access-control' },
   { label: 'A02: Security Misconfiguration', value: 'security-config' },
@@ -104,8 +129,20 @@ export const SECURITY_CATEGORIES = [
   { label: 'Framework: React / Next.js', value: 'react-security' },
   { label: 'Framework: Express / Node.js', value: 'express-security' },
   { label: 'Framework: Next.js (App Router)', value: 'nextjs-security' },
+  { label: 'Framework: Vue', value: 'vue-security' },
+  { label: 'Framework: Nuxt', value: 'nuxt-security' },
+  { label: 'Framework: Fastify', value: 'fastify-security' },
+  { label: 'Framework: Koa', value: 'koa-security' },
+  { label: 'Framework: NestJS', value: 'nestjs-security' },
 ];
 
+/**
+ * Built-in categories followed by any registered custom templates
+ */
+export function getSecurityCategories() {
+  return [...SECURITY_CATEGORIES, ...getCustomCategories()];
+}
+
 // ─── Project state detection ─────────────────────────────────────
 
 export function detectProjectState(cwd) {
@@ -114,42 +151,20 @@ export function detectProjectState(cwd) {
     detectedTools: [],
     detectedFramework: null,
     existingRules: {},
+    stack: detectStack(cwd),
+    workspaces: detectWorkspaces(cwd),
   };
 
-  const toolPaths = {
-    claude: 'CLAUDE.md',
-    cursor: '.cursor/rules',
-    windsurf: '.windsurf/rules',
-    copilot: '.github/copilot-instructions.md',
-    agents: 'AGENTS.md',
-  };
-
-  for (const [tool, path] of Object.entries(toolPaths)) {
-    const fullPath = join(cwd, path);
-    if (existsSync(fullPath)) {
+  for (const [tool, adapter] of Object.entries(adapters)) {
+    const found = adapter.detectPaths.find((path) => existsSync(join(cwd, path)));
+    if (found) {
       state.detectedTools.push(tool);
-      state.existingRules[tool] = fullPath;
+      state.existingRules[tool] = join(cwd, found);
     }
   }
 
-  if (state.hasPackageJson) {
-    try {
-      const pkg = JSON.parse(
-        readFileSync(join(cwd, 'package.json'), 'utf-8')
-      );
-      const allDeps = {
-        ...pkg.dependencies,
-        ...pkg.devDependencies,
-      };
-      if (allDeps.next || allDeps.react) state.detectedFramework = 'react';
-      else if (allDeps.nuxt || allDeps.vue) state.detectedFramework = 'vue';
-      else if (allDeps.express || allDeps.fastify || allDeps.koa)
-        state.detectedFramework = 'node';
-      else state.detectedFramework = 'vanilla';
-    } catch {
-      // Ignore parse errors
-    }
-  }
+  // Unparsable package.json files leave the framework undetected
+  state.detectedFramework = state.stack.framework;
 
   return state;
 }
@@ -159,7 +174,7 @@ export function printProjectStatus(state) {
 
   if (state.detectedTools.length > 0) {
     const toolNames = state.detectedTools
-      .map((tool) => AI_TOOLS.find((a) => a.value === tool)?.label || tool)
+      .map((tool) => adapters[tool]?.label || tool)
       .join(', ');
     console.log(`  ${t('toolsDetected')} ${toolNames}`);
   } else {
@@ -167,10 +182,16 @@ export function printProjectStatus(state) {
   }
 
   if (state.detectedFramework) {
-    const fwName =
-      FRAMEWORKS.find((f) => f.value === state.detectedFramework)?.label ||
-      state.detectedFramework;
-    console.log(`  ${t('frameworkDetected')} ${fwName}`);
+    console.log(`  ${t('frameworkDetected')} ${frameworkLabel(state.detectedFramework)}`);
+  }
+
+  printStack(state.stack);
+
+  if (state.workspaces.length > 0) {
+    console.log(`  ${t('workspacesDetected', state.workspaces.length)}`);
+    for (const pkg of state.workspaces) {
+      console.log(`    - ${pkg.path} (${frameworkLabel(pkg.framework)})`);
+    }
   }
 
   if (!state.hasPackageJson) {
@@ -178,40 +199,56 @@ export function printProjectStatus(state) {
   }
 }
 
+// i18n keys of the library kinds in the stack report
+const STACK_KEYS = { orm: 'stackOrm', auth: 'stackAuth', validation: 'stackValidation', bundler: 'stackBundler' };
+
+/**
+ * The stack report: TypeScript and runtime, then each library kind that was found
+ */
+function printStack(stack) {
+  console.log(`  ${t('stackDetected')}`);
+  console.log(`    ${t('stackTypeScript')} ${stack.typescript ? t('stackYes') : t('stackNoTypeScript')}`);
+  if (stack.runtime) {
+    console.log(`    ${t('stackRuntime')} ${stackLabel(stack.runtime)}`);
+  }
+  for (const kind of STACK_KINDS) {
+    if (stack[kind].length > 0) {
+      console.log(`    ${t(STACK_KEYS[kind])} ${stack[kind].map(stackLabel).join(', ')}`);
+    }
+  }
+}
+
 // ─── Main prompt flow ────────────────────────────────────────────
 
 function isInteractive() {
   return process.stdin.isTTY === true;
 }
 
-export async function promptUser(args) {
+export async function promptUser(flags, preset = null) {
   const cwd = process.cwd();
   const state = detectProjectState(cwd);
 
   // --check flag
-  if (args.includes('--check')) {
+  if (flags.check) {
     printProjectStatus(state);
     return null;
   }
 
+  const workspaces = flags.workspaces === true || preset?.workspaces === true;
+
+  // Project config file and/or selection flags - declarative, never prompts
+  if (preset) {
+    if (preset.source) console.log(t('usingConfig', preset.source));
+    return resolveConfig({ ...preset, workspaces }, state);
+  }
+
   // Non-interactive mode
-  if (args.includes('--yes') || args.includes('-y') || !isInteractive()) {
-    if (!isInteractive() && !args.includes('--yes') && !args.includes('-y')) {
+  if (flags.yes || !isInteractive()) {
+    if (!isInteractive() && !flags.yes) {
       console.log(t('nonInteractive'));
     }
 
-    const tools =
-      state.detectedTools.length > 0
-        ? state.detectedTools
-        : ['claude'];
-
-    return {
-      tools,
-      outputMode: 'inline',
-      framework: state.detectedFramework || 'vanilla',
-      categories: SECURITY_CATEGORIES.map((c) => c.value),
-      includeFrontend: (state.detectedFramework || 'vanilla') !== 'node',
-    };
+    return resolveConfig({ workspaces }, state);
   }
 
   // Interactive mode
@@ -220,7 +257,7 @@ export async function promptUser(args) {
   printProjectStatus(state);
 
   // AI tool selection (multiple)
-  const toolOptions = AI_TOOLS.map((tool) => ({
+  const toolOptions = getAITools().map((tool) => ({
     ...tool,
     detected: state.detectedTools.includes(tool.value),
   }));
@@ -228,9 +265,9 @@ export async function promptUser(args) {
   const tools = await selectMultiple(t('selectTools'), toolOptions);
 
   // Output mode selection
-  // Only relevant for tools that support both modes (claude, copilot, agents)
-  const supportsDirectory = tools.some((t) =>
-    ['claude', 'copilot'].includes(t)
+  // Only relevant for tools that support both modes
+  const supportsDirectory = tools.some((tool) =>
+    supportsDirectoryMode(adapters[tool])
   );
 
   let outputMode = 'inline';
@@ -263,46 +300,107 @@ export async function promptUser(args) {
 
   let categories;
   if (allCategories) {
-    categories = SECURITY_CATEGORIES.map((c) => c.value);
+    categories = defaultCategories(state, frameworksOf(framework, state, workspaces));
   } else {
-    categories = await selectMultiple(t('selectCategories'), SECURITY_CATEGORIES);
+    categories = await selectMultiple(t('selectCategories'), getSecurityCategories());
   }
 
   const includeFrontend =
-    framework !== 'node'
+    !SERVER_FRAMEWORKS.includes(framework)
       ? await confirm(t('includeFrontend'))
       : false;
 
   if (includeFrontend) {
-    const frontendCats = ['xss-prevention', 'csrf-protection', 'csp', 'secure-state'];
-    frontendCats.forEach((c) => {
+    FRONTEND_CATEGORIES.forEach((c) => {
       if (!categories.includes(c)) categories.push(c);
     });
   }
 
   // Auto-include framework-specific and TypeScript rules
-  autoIncludeExtras(categories, framework);
+  autoIncludeExtras(categories, framework, state.stack);
 
-  return { tools, outputMode, framework, categories, includeFrontend };
+  return { tools, outputMode, framework, categories, includeFrontend, stack: state.stack };
 }
 
 /**
- * Auto-include TypeScript and framework-specific rules based on selection
+ * Fill in a preset (project config) with smart defaults from the detected project state
  */
-function autoIncludeExtras(categories, framework) {
-  // Always include TypeScript rules (most JS projects use TS now)
-  if (!categories.includes('typescript-security')) {
-    categories.push('typescript-security');
+export function resolveConfig(preset, state) {
+  const detected = state.detectedTools.filter((tool) => !adapters[tool]?.linter);
+  const tools = preset.tools || (detected.length > 0 ? detected : ['claude']);
+  const framework = preset.framework || state.detectedFramework || 'vanilla';
+
+  let categories = preset.categories
+    ? [...preset.categories]
+    : defaultCategories(state, frameworksOf(framework, state, preset.workspaces === true));
+  if (preset.exclude) {
+    categories = categories.filter((c) => !preset.exclude.includes(c));
   }
 
-  const frameworkMap = {
-    react: ['react-security', 'nextjs-security'],
-    vue: [],
-    node: ['express-security'],
-    vanilla: [],
+  return {
+    tools,
+    outputMode: preset.outputMode || 'inline',
+    framework,
+    categories,
+    includeFrontend: !SERVER_FRAMEWORKS.includes(framework),
+    suppress: preset.suppress || {},
+    rulesLang: preset.rulesLang || 'en',
+    maxTokens: preset.maxTokens,
+    detail: preset.detail,
+    workspaces: preset.workspaces === true,
+    stack: state.stack,
   };
+}
+
+/**
+ * Display name of a framework value (e.g. 'react' -> 'React / Next.js')
+ */
+export function frameworkLabel(framework) {
+  return FRAMEWORKS.find((f) => f.value === framework)?.label || framework;
+}
+
+/**
+ * The selected categories that fit one framework: other frameworks' modules are
+ * left out, and so are frontend modules for server frameworks
+ * (used to give each monorepo package its own rule set)
+ */
+export function categoriesForFramework(categories, framework) {
+  const own = FRAMEWORK_CATEGORIES[framework] || [];
+  const others = Object.values(FRAMEWORK_CATEGORIES).flat().filter((c) => !own.includes(c));
+  const server = SERVER_FRAMEWORKS.includes(framework);
+  return categories.filter(
+    (c) => !others.includes(c) && !(server && FRONTEND_CATEGORIES.includes(c))
+  );
+}
+
+/**
+ * The project framework, plus each workspace package's with --workspaces
+ * (packages get the modules of their own framework, see renderTools in api.js)
+ */
+function frameworksOf(framework, state, workspaces) {
+  const packages = workspaces ? (state.workspaces || []).map((pkg) => pkg.framework) : [];
+  return [...new Set([framework, ...packages])];
+}
+
+/**
+ * Every category that fits one of the frameworks (see categoriesForFramework),
+ * without TypeScript rules when the stack report found no TypeScript
+ */
+function defaultCategories(state, frameworks) {
+  const all = getSecurityCategories().map((c) => c.value);
+  const fitting = all.filter((c) => frameworks.some((fw) => categoriesForFramework([c], fw).length > 0));
+  return state.stack?.typescript === false ? fitting.filter((c) => c !== 'typescript-security') : fitting;
+}
+
+/**
+ * Auto-include TypeScript and framework-specific rules based on selection
+ */
+function autoIncludeExtras(categories, framework, stack) {
+  if (stack.typescript && !categories.includes('typescript-security')) {
+    categories.push('typescript-security');
+  }
 
-  const extras = frameworkMap[framework] || [];
+  const extras = FRAMEWORK_CATEGORIES[framework] || [];
   extras.forEach((c) => {
     if (!categories.includes(c)) categories.push(c);
   });
@@ -0,0 +1,163 @@
+/**
+ * Markdown renderers for the structured Template model (see parseTemplate in loader.js)
+ * Adapters build their output from these so every tool carries the same rule content
+ */
+
+import { parseTemplate } from './loader.js';
+
+/**
+ * How much of each template to render, from terse to complete:
+ *   minimal  - flat DO / DON'T / WHY bullets
+ *   standard - rules and checklist
+ *   full     - rules, code examples, extra sections and checklist
+ * Adapters default to the level that suits where their output is loaded
+ */
+export const DETAIL_LEVELS = ['minimal', 'standard', 'full'];
+
+/**
+ * The detail level set for a tool: its own entry, else the default,
+ * else undefined (the adapter's default)
+ * detail: { default?: level, [tool]: level }
+ */
+export function detailFor(detail, tool) {
+  return detail?.[tool] ?? detail?.default;
+}
+
+/**
+ * Accept a parsed Template or raw template markdown
+ */
+export function toTemplate(value, category) {
+  return typeof value === 'string' ? parseTemplate(value, category) : value;
+}
+
+/**
+ * The template without its code examples, for output that has to shrink
+ */
+export function stripExamples(template) {
+  return { ...template, examples: [] };
+}
+
+/**
+ * The template without WHY lines
+ */
+export function stripWhy(template) {
+  return { ...template, rules: template.rules.map((rule) => ({ ...rule, why: null })) };
+}
+
+/**
+ * "# Title" plus the blockquote summary
+ */
+export function renderHeader(template) {
+  const lines = [];
+  if (template.title) lines.push(`# ${template.title}`);
+  if (template.summary.length > 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push(...template.summary.map((line) => (line ? `> ${line}` : '>')));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * "## Rules" with a "### <id>: Title" block and DO / DON'T / WHY bullets per rule,
+ * followed by any project exceptions
+ */
+export function renderRules(template) {
+  if (template.rules.length === 0 && template.exceptions.length === 0) return '';
+  const blocks = template.rules.map((rule) => {
+    const lines = [`### ${ruleLabel(rule)}`];
+    if (rule.do) lines.push(`- **DO**: ${rule.do}`);
+    if (rule.dont) lines.push(`- **DON'T**: ${rule.dont}`);
+    if (rule.why) lines.push(`- **WHY**: ${rule.why}`);
+    return lines.join('\n');
+  });
+  if (template.exceptions.length > 0) {
+    blocks.push(renderExceptions(template));
+  }
+  return ['## Rules', ...blocks].join('\n\n');
+}
+
+/**
+ * Flat bullet list of rules, for tools that prefer terse instructions
+ */
+export function renderRuleBullets(template) {
+  const lines = [];
+  for (const rule of template.rules) {
+    lines.push(rule.id ? `- **${rule.id}: ${rule.title}**` : `- **${rule.title}**`);
+    if (rule.do) lines.push(`  - **DO**: ${rule.do}`);
+    if (rule.dont) lines.push(`  - **DON'T**: ${rule.dont}`);
+    if (rule.why) lines.push(`  - **WHY**: ${rule.why}`);
+  }
+  for (const exception of template.exceptions) {
+    lines.push(`- **${exception.id}: ${exception.title}** - not applied in this project: ${exception.reason}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Rules the project disabled, with the justification recorded in the config
+ */
+export function renderExceptions(template) {
+  const lines = [
+    '**Project exceptions** - these rules are intentionally not applied in this project:',
+  ];
+  for (const exception of template.exceptions) {
+    lines.push(`- **${exception.id}** (${exception.title}): ${exception.reason}`);
+  }
+  return lines.join('\n');
+}
+
+function ruleLabel(rule) {
+  return rule.id ? `${rule.id}: ${rule.title}` : `${rule.number}. ${rule.title}`;
+}
+
+/**
+ * "## Code Examples" with each example's code blocks and notes
+ */
+export function renderExamples(template) {
+  if (template.examples.length === 0) return '';
+  const blocks = template.examples.map((example) => {
+    const parts = example.blocks.map((block) =>
+      block.text !== undefined
+        ? block.text
+        : ['```' + block.lang, block.code, '```'].join('\n')
+    );
+    return `### ${example.title}\n${parts.join('\n\n')}`;
+  });
+  return ['## Code Examples', ...blocks].join('\n\n');
+}
+
+/**
+ * "## Quick Checklist" as unchecked task items
+ */
+export function renderChecklist(template) {
+  if (template.checklist.length === 0) return '';
+  return ['## Quick Checklist', ...template.checklist.map((item) => `- [ ] ${item}`)].join('\n');
+}
+
+/**
+ * Any extra "##" sections a template carries, verbatim
+ */
+export function renderSections(template) {
+  return template.sections
+    .map(({ heading, body }) => (body ? `## ${heading}\n\n${body}` : `## ${heading}`))
+    .join('\n\n');
+}
+
+/**
+ * Everything below the header at a detail level (see DETAIL_LEVELS)
+ */
+export function renderBody(template, detail = 'full') {
+  if (detail === 'minimal') return renderRuleBullets(template);
+  const parts =
+    detail === 'standard'
+      ? [renderRules(template), renderChecklist(template)]
+      : [renderRules(template), renderExamples(template), renderSections(template), renderChecklist(template)];
+  return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * The whole template at a detail level, header included
+ */
+export function renderFull(template, detail = 'full') {
+  return [renderHeader(template), renderBody(template, detail)].filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,299 @@
+/**
+ * Security scanner - flags the anti-patterns the rule templates warn about in a project's
+ * JS/TS files, each finding tied to the OWASP category and rule id it breaks
+ * Matching is line by line with regular expressions: no dependencies and no network,
+ * at the cost of missing code that spreads a pattern over several lines
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { loadTemplates, getCategoryInfo } from './loader.js';
+import { SKIP_DIRS, CODE_EXTS } from './globs.js';
+import { UsageError } from './errors.js';
+
+// Categories whose rules have scan patterns
+const SCANNED_CATEGORIES = ['cryptographic', 'injection', 'xss-prevention'];
+
+// Minified bundles and generated files are not worth reading line by line
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Turns findings off for its own line or the next: all of them, or the listed rule ids
+const IGNORE_RE = /secure-coding-rules-ignore\b(.*)$/;
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/kwakseongjae/secure-coding-rules';
+
+/**
+ * What the scanner looks for; rule is the id of the template rule the code breaks
+ * (see ruleId in loader.js) and message what was found
+ */
+export const SCAN_PATTERNS = [
+  {
+    id: 'sql-template-literal',
+    rule: 'A05-R1',
+    message: 'SQL query built with a template literal',
+    pattern: /(?<![\w$.])`\s*(?:SELECT|INSERT|UPDATE|DELETE)\b[^`]*\$\{/i,
+  },
+  {
+    id: 'sql-concatenation',
+    rule: 'A05-R1',
+    message: 'SQL query built by string concatenation',
+    pattern: /(['"])\s*(?:SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM)\b(?:(?!\1).)*\1\s*\+/i,
+  },
+  {
+    id: 'raw-query-unsafe',
+    rule: 'A05-R1',
+    message: 'Raw query API that does not parameterize values',
+    pattern: /\$(?:queryRawUnsafe|executeRawUnsafe)\s*\(/,
+  },
+  {
+    id: 'exec-interpolation',
+    rule: 'A05-R4',
+    message: 'Shell command built from a template literal or concatenation',
+    pattern: /\bexec(?:Sync)?\s*\(\s*(?:`[^`]*\$\{|(['"])(?:(?!\1).)*\1\s*\+)/,
+  },
+  {
+    id: 'eval',
+    rule: 'A05-R4',
+    message: 'eval() call',
+    pattern: /(?<![\w$.'"`])eval\s*\(/,
+  },
+  {
+    id: 'function-constructor',
+    rule: 'A05-R4',
+    message: 'Function constructor',
+    pattern: /\bnew\s+Function\s*\(/,
+  },
+  {
+    id: 'dynamic-regexp',
+    rule: 'A05-R7',
+    message: 'RegExp built from a variable, interpolation or concatenation without escaping',
+    // Any source but a string or regex literal; mark constant patterns secure-coding-rules-ignore
+    pattern: /\b(?:new\s+)?RegExp\s*\(\s*(?:`[^`]*\$\{(?![^}]*[Ee]scape)|(['"`])(?:(?!\1).)*\1\s*\+(?![^)]*[Ee]scape)|(?![\w$.]*[Ee]scape)[\w$])/,
+  },
+  {
+    id: 'weak-crypto',
+    rule: 'A04-R1',
+    message: 'Deprecated hash or cipher (MD5, SHA-1, DES, RC4)',
+    pattern: /\bcreate(?:Hash|Hmac|Cipheriv|Decipheriv)\s*\(\s*['"](?:md5|sha1|des(?:-[\w-]+)?|rc4)['"]/i,
+  },
+  {
+    id: 'hardcoded-secret',
+    rule: 'A04-R2',
+    message: 'Private key or AWS access key in source code',
+    pattern: /-----BEGIN (?:RSA |EC |OPENSSH |DSA )?PRIVATE KEY-----|\bAKIA[0-9A-Z]{16}\b/,
+  },
+  {
+    id: 'inner-html',
+    rule: 'FE-01-R1',
+    message: 'innerHTML or outerHTML assignment',
+    pattern: /\.(?:innerHTML|outerHTML)\s*\+?=(?!=)/,
+  },
+  {
+    id: 'html-insertion',
+    rule: 'FE-01-R1',
+    message: 'HTML inserted with insertAdjacentHTML or document.write',
+    pattern: /\.insertAdjacentHTML\s*\(|\bdocument\.write(?:ln)?\s*\(/,
+  },
+  {
+    id: 'dangerously-set-inner-html',
+    rule: 'FE-01-R1',
+    message: 'dangerouslySetInnerHTML without a sanitizer',
+    pattern: /dangerouslySetInnerHTML\s*=\s*\{\s*\{\s*__html\s*:(?![^}]*sanitize)/i,
+  },
+  {
+    id: 'string-timer',
+    rule: 'FE-01-R5',
+    message: 'setTimeout or setInterval with a code string',
+    pattern: /\bset(?:Timeout|Interval)\s*\(\s*['"`]/,
+  },
+];
+
+/**
+ * Scan the JS/TS files under paths (relative to cwd, default the whole project);
+ * a path that does not exist throws a UsageError
+ * categories limits the scan to those categories' patterns; suppress ({ [ruleId]: reason },
+ * as in the project config) drops findings for suppressed rules
+ * Returns { files, rules, findings } where rules maps each reported rule id to
+ * { id, category, owasp, categoryTitle, title } and findings are
+ * [{ rule, pattern, message, file, line, column, snippet }] sorted by file and line
+ */
+export async function scanProject(cwd, { paths = ['.'], categories = null, suppress = {} } = {}) {
+  const root = resolve(cwd);
+  const patterns = SCAN_PATTERNS.filter((entry) => {
+    if (suppress[entry.rule] !== undefined) return false;
+    return !categories || categories.includes(categoryForRule(entry.rule));
+  });
+
+  const files = [];
+  for (const path of paths) {
+    await collectFiles(root, resolve(root, path), files, path);
+  }
+  const unique = [...new Set(files)].sort();
+
+  const findings = [];
+  for (const file of unique) {
+    const content = await readFile(join(root, file), 'utf-8');
+    findings.push(...scanSource(content, file, patterns));
+  }
+
+  return { files: unique.length, rules: await describeRules(findings), findings };
+}
+
+/**
+ * Findings in one file's source for the given patterns
+ * Comment lines are skipped, and so are lines marked with secure-coding-rules-ignore
+ */
+export function scanSource(content, file, patterns = SCAN_PATTERNS) {
+  const findings = [];
+  const lines = content.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*')) return;
+
+    const ignored = [ignoredRules(line), ignoredRules(lines[index - 1] || '')].filter(Boolean);
+    for (const entry of patterns) {
+      const match = line.match(entry.pattern);
+      if (!match) continue;
+      if (ignored.some((rules) => rules.length === 0 || rules.includes(entry.rule))) continue;
+      findings.push({
+        rule: entry.rule,
+        pattern: entry.id,
+        message: entry.message,
+        file,
+        line: index + 1,
+        column: match.index + 1,
+        snippet: trimmed.slice(0, 200),
+      });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * The scan result as a SARIF 2.1.0 log, for code scanning dashboards
+ */
+export function formatSarif(result, version) {
+  const rules = Object.values(result.rules);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'secure-coding-rules',
+            version,
+            informationUri: INFORMATION_URI,
+            rules: rules.map((rule) => ({
+              id: rule.id,
+              name: rule.title,
+              shortDescription: { text: rule.title },
+              fullDescription: { text: `${rule.owasp} ${rule.categoryTitle}: ${rule.title}` },
+              defaultConfiguration: { level: 'warning' },
+              properties: { tags: ['security', rule.owasp], category: rule.category },
+            })),
+          },
+        },
+        results: result.findings.map((finding) => ({
+          ruleId: finding.rule,
+          ruleIndex: ruleIndex.get(finding.rule),
+          level: 'warning',
+          message: { text: finding.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+                region: { startLine: finding.line, startColumn: finding.column },
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+/**
+ * The scan result as JSON: the findings with their rule and category spelled out
+ */
+export function formatScanJson(result, version) {
+  const findings = result.findings.map((finding) => {
+    const { category, owasp, title } = result.rules[finding.rule];
+    return { ...finding, category, owasp, title };
+  });
+  return JSON.stringify({ version, files: result.files, findings }, null, 2);
+}
+
+/**
+ * Category of a scanned rule from the code in its id (e.g. 'A05-R1' -> 'injection')
+ */
+function categoryForRule(id) {
+  const code = id.replace(/-R\d+$/, '');
+  return SCANNED_CATEGORIES.find((category) => getCategoryInfo(category).owasp === code);
+}
+
+/**
+ * Rule titles and categories for the rules that have findings, read from the templates
+ */
+async function describeRules(findings) {
+  const ids = [...new Set(findings.map((finding) => finding.rule))].sort();
+  const categories = [...new Set(ids.map(categoryForRule))];
+  const templates = await loadTemplates(categories);
+
+  const rules = {};
+  for (const id of ids) {
+    const category = categoryForRule(id);
+    const info = getCategoryInfo(category);
+    const rule = templates.get(category)?.rules.find((r) => r.id === id);
+    rules[id] = { id, category, owasp: info.owasp, categoryTitle: info.title, title: rule?.title || id };
+  }
+  return rules;
+}
+
+/**
+ * Rule ids a secure-coding-rules-ignore comment on the line names:
+ * null without the comment, [] when it names none (meaning every rule)
+ */
+function ignoredRules(line) {
+  const match = line.match(IGNORE_RE);
+  if (!match) return null;
+  return match[1].split(/[\s,]+/).filter((id) => /^[A-Z][\w-]*-R\d+$/.test(id));
+}
+
+/**
+ * Add the scannable files at path to files; given (the path as passed to scanProject)
+ * is set for the top-level call, where a path that does not exist is a usage error
+ */
+async function collectFiles(root, path, files, given = null) {
+  let info;
+  try {
+    info = await stat(path);
+  } catch (err) {
+    if (given !== null && err.code === 'ENOENT') {
+      throw new UsageError(`Scan path does not exist: ${given}`);
+    }
+    return;
+  }
+
+  if (info.isFile()) {
+    const ext = path.slice(path.lastIndexOf('.') + 1);
+    if (CODE_EXTS.includes(ext) && !path.endsWith('.min.js') && info.size <= MAX_FILE_BYTES) {
+      files.push(relative(root, path).split(sep).join('/'));
+    }
+    return;
+  }
+  if (!info.isDirectory()) return;
+
+  const entries = await readdir(path, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.isDirectory() && (SKIP_DIRS.has(entry.name) || entry.name.startsWith('.'))) continue;
+    await collectFiles(root, join(path, entry.name), files);
+  }
+}
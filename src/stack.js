@@ -0,0 +1,140 @@
+/**
+ * Stack detection - what a project runs on, read from its manifests and config files:
+ * framework, TypeScript, runtime, database clients, auth, validation and bundler
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+// Runtimes in detection order: their own config files win over a plain package.json
+const RUNTIMES = [
+  { id: 'deno', label: 'Deno', files: ['deno.json', 'deno.jsonc'], packages: [] },
+  { id: 'bun', label: 'Bun', files: ['bun.lockb', 'bun.lock', 'bunfig.toml'], packages: ['@types/bun', 'bun-types'] },
+  {
+    id: 'edge',
+    label: 'Edge (Cloudflare Workers)',
+    files: ['wrangler.toml', 'wrangler.json', 'wrangler.jsonc'],
+    packages: ['wrangler', '@cloudflare/workers-types'],
+  },
+];
+
+// Libraries reported per kind, each found by any of its packages
+const LIBRARIES = {
+  orm: [
+    { id: 'prisma', label: 'Prisma', packages: ['@prisma/client', 'prisma'] },
+    { id: 'drizzle', label: 'Drizzle ORM', packages: ['drizzle-orm'] },
+    { id: 'typeorm', label: 'TypeORM', packages: ['typeorm'] },
+    { id: 'sequelize', label: 'Sequelize', packages: ['sequelize'] },
+    { id: 'mikro-orm', label: 'MikroORM', packages: ['@mikro-orm/core'] },
+    { id: 'mongoose', label: 'Mongoose', packages: ['mongoose'] },
+    { id: 'knex', label: 'Knex', packages: ['knex'] },
+    { id: 'kysely', label: 'Kysely', packages: ['kysely'] },
+    { id: 'pg', label: 'node-postgres', packages: ['pg', 'postgres'] },
+    { id: 'mysql', label: 'MySQL', packages: ['mysql2', 'mysql'] },
+    { id: 'mongodb', label: 'MongoDB', packages: ['mongodb'] },
+    { id: 'sqlite', label: 'SQLite', packages: ['better-sqlite3', 'sqlite3'] },
+    { id: 'supabase', label: 'Supabase', packages: ['@supabase/supabase-js'] },
+  ],
+  auth: [
+    { id: 'next-auth', label: 'Auth.js / NextAuth', packages: ['next-auth', '@auth/core'] },
+    { id: 'passport', label: 'Passport', packages: ['passport', '@nestjs/passport'] },
+    { id: 'clerk', label: 'Clerk', packages: ['@clerk/nextjs', '@clerk/clerk-sdk-node', '@clerk/backend'] },
+    { id: 'lucia', label: 'Lucia', packages: ['lucia'] },
+    { id: 'better-auth', label: 'Better Auth', packages: ['better-auth'] },
+    { id: 'firebase-auth', label: 'Firebase Auth', packages: ['firebase-admin'] },
+    { id: 'jsonwebtoken', label: 'jsonwebtoken', packages: ['jsonwebtoken'] },
+    { id: 'jose', label: 'jose', packages: ['jose'] },
+    { id: 'express-session', label: 'express-session', packages: ['express-session'] },
+  ],
+  validation: [
+    { id: 'zod', label: 'Zod', packages: ['zod'] },
+    { id: 'joi', label: 'Joi', packages: ['joi'] },
+    { id: 'yup', label: 'Yup', packages: ['yup'] },
+    { id: 'valibot', label: 'Valibot', packages: ['valibot'] },
+    { id: 'class-validator', label: 'class-validator', packages: ['class-validator'] },
+    { id: 'ajv', label: 'Ajv', packages: ['ajv'] },
+    { id: 'typebox', label: 'TypeBox', packages: ['@sinclair/typebox'] },
+    { id: 'express-validator', label: 'express-validator', packages: ['express-validator'] },
+  ],
+  bundler: [
+    { id: 'vite', label: 'Vite', packages: ['vite'] },
+    { id: 'webpack', label: 'webpack', packages: ['webpack'] },
+    { id: 'rspack', label: 'Rspack', packages: ['@rspack/core'] },
+    { id: 'rollup', label: 'Rollup', packages: ['rollup'] },
+    { id: 'esbuild', label: 'esbuild', packages: ['esbuild'] },
+    { id: 'tsup', label: 'tsup', packages: ['tsup'] },
+    { id: 'parcel', label: 'Parcel', packages: ['parcel'] },
+  ],
+};
+
+export const STACK_KINDS = Object.keys(LIBRARIES);
+
+/**
+ * Framework of the package in dir from its package.json dependencies,
+ * or null without a readable package.json
+ */
+export function detectFramework(dir) {
+  const pkg = readPackageJson(dir);
+  if (!pkg) return null;
+
+  const allDeps = dependencies(pkg);
+  if (allDeps.next || allDeps.react) return 'react';
+  if (allDeps.nuxt || allDeps.vue) return 'vue';
+  if (allDeps['@nestjs/core']) return 'nestjs';
+  if (allDeps.fastify) return 'fastify';
+  if (allDeps.koa) return 'koa';
+  if (allDeps.express) return 'node';
+  return 'vanilla';
+}
+
+/**
+ * Stack report for the project in dir:
+ * { framework, typescript, runtime, orm: [id], auth: [id], validation: [id], bundler: [id] }
+ * typescript is true when a tsconfig.json exists (Deno projects count as TypeScript);
+ * runtime is 'node', 'deno', 'bun', 'edge' or null when nothing says what runs the code
+ */
+export function detectStack(dir) {
+  const pkg = readPackageJson(dir);
+  const allDeps = pkg ? dependencies(pkg) : {};
+  const has = (name) => allDeps[name] !== undefined;
+
+  const runtime = RUNTIMES.find(
+    ({ files, packages }) => files.some((file) => existsSync(join(dir, file))) || packages.some(has)
+  );
+
+  const stack = {
+    framework: detectFramework(dir),
+    typescript: existsSync(join(dir, 'tsconfig.json')) || runtime?.id === 'deno',
+    runtime: runtime ? runtime.id : pkg ? 'node' : null,
+  };
+  for (const [kind, libraries] of Object.entries(LIBRARIES)) {
+    stack[kind] = libraries.filter(({ packages }) => packages.some(has)).map(({ id }) => id);
+  }
+  return stack;
+}
+
+/**
+ * Display name of a runtime or library id from the stack report (e.g. 'prisma' -> 'Prisma')
+ */
+export function stackLabel(id) {
+  if (id === 'node') return 'Node.js';
+  const all = [...RUNTIMES, ...Object.values(LIBRARIES).flat()];
+  return all.find((entry) => entry.id === id)?.label || id;
+}
+
+function dependencies(pkg) {
+  return {
+    ...pkg.dependencies,
+    ...pkg.devDependencies,
+  };
+}
+
+function readPackageJson(dir) {
+  const path = join(dir, 'package.json');
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Monorepo workspaces - find the packages of a repo so each can get rules for its own framework
+ * Reads package.json "workspaces" (npm, Yarn), pnpm-workspace.yaml, nx.json and turbo.json
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { detectFramework } from './stack.js';
+
+// Where Nx and Turborepo put packages when nothing else says so
+const NX_DEFAULT_DIRS = { appsDir: 'apps', libsDir: 'libs' };
+const TURBO_DEFAULT_PATTERNS = ['apps/*', 'packages/*'];
+
+// Nx executors and plugins that tell a project's framework when it has no package.json
+const NX_FRAMEWORKS = [
+  ['@nx/next', 'react'],
+  ['@nx/react', 'react'],
+  ['@nx/nuxt', 'vue'],
+  ['@nx/vue', 'vue'],
+  ['@nx/nest', 'nestjs'],
+  ['@nx/express', 'node'],
+  ['@nx/node', 'node'],
+];
+
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build']);
+
+/**
+ * Packages of the monorepo in cwd: [{ path, name, framework }], sorted by path
+ * path is relative to cwd; an empty list means the project is not a monorepo
+ */
+export function detectWorkspaces(cwd) {
+  const patterns = workspacePatterns(cwd);
+  if (patterns.length === 0) return [];
+
+  const include = patterns.filter((pattern) => !pattern.startsWith('!'));
+  const exclude = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => pattern.slice(1));
+  const excluded = new Set(exclude.flatMap((pattern) => expandPattern(cwd, pattern)));
+
+  const paths = [...new Set(include.flatMap((pattern) => expandPattern(cwd, pattern)))]
+    .filter((path) => path !== '' && !excluded.has(path))
+    .filter((path) => existsSync(join(cwd, path, 'package.json')) || existsSync(join(cwd, path, 'project.json')))
+    .sort();
+
+  return paths.map((path) => ({ path, ...describePackage(join(cwd, path), path) }));
+}
+
+/**
+ * Workspace globs declared by the package manager or build tool, [] when none
+ */
+function workspacePatterns(cwd) {
+  const pkg = readJson(join(cwd, 'package.json'));
+  const declared = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (Array.isArray(declared)) return declared.filter((p) => typeof p === 'string');
+
+  const pnpm = join(cwd, 'pnpm-workspace.yaml');
+  if (existsSync(pnpm)) return readPnpmPackages(readFileSync(pnpm, 'utf-8'));
+
+  const nx = readJson(join(cwd, 'nx.json'));
+  if (nx) {
+    const { appsDir, libsDir } = { ...NX_DEFAULT_DIRS, ...nx.workspaceLayout };
+    return [`${appsDir}/*`, `${libsDir}/*`];
+  }
+
+  if (existsSync(join(cwd, 'turbo.json'))) return TURBO_DEFAULT_PATTERNS;
+  return [];
+}
+
+/**
+ * The "packages:" list of pnpm-workspace.yaml (block list of plain or quoted globs)
+ */
+function readPnpmPackages(yaml) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of yaml.split('\n')) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || line.trim() === '' || line.trim().startsWith('#')) continue;
+    const item = line.match(/^\s+-\s*(.+?)\s*$/);
+    if (!item) break;
+    patterns.push(item[1].replace(/^(['"])(.*)\1$/, '$2'));
+  }
+  return patterns;
+}
+
+/**
+ * Directories matching a workspace glob ("apps/*", "packages/**", "tools/cli")
+ */
+function expandPattern(cwd, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  let dirs = [''];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        next.push(dir, ...descendants(cwd, dir));
+      } else if (segment.includes('*')) {
+        const re = new RegExp(`^${segment.split('*').map(escapeRegExp).join('[^/]*')}$`);
+        next.push(...subdirs(cwd, dir).filter((name) => re.test(name)).map((name) => joinPath(dir, name)));
+      } else if (existsSync(join(cwd, dir, segment))) {
+        next.push(joinPath(dir, segment));
+      }
+    }
+    dirs = next;
+  }
+  return dirs;
+}
+
+function describePackage(dir, path) {
+  const pkg = readJson(join(dir, 'package.json'));
+  if (pkg) return { name: pkg.name || path, framework: detectFramework(dir) };
+
+  const project = readJson(join(dir, 'project.json'));
+  const source = JSON.stringify(project?.targets || {});
+  const match = NX_FRAMEWORKS.find(([plugin]) => source.includes(plugin));
+  return { name: project?.name || path, framework: match ? match[1] : 'vanilla' };
+}
+
+function subdirs(cwd, dir) {
+  try {
+    return readdirSync(join(cwd, dir), { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !SKIP_DIRS.has(entry.name) && !entry.name.startsWith('.'))
+      .map((entry) => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function descendants(cwd, dir, depth = 0) {
+  if (depth >= 4) return [];
+  return subdirs(cwd, dir).flatMap((name) => {
+    const path = joinPath(dir, name);
+    return [path, ...descendants(cwd, path, depth + 1)];
+  });
+}
+
+function joinPath(dir, name) {
+  return dir ? `${dir}/${name}` : name;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function readJson(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}